@@ -6,9 +6,58 @@ const App = {
     // Current state
     currentScreen: 'capture',
     capturedImageData: null,
-    extractedWaveform: null,
+    extractedChannels: null,
+
+    // Audio from each frame of the strip being scanned, in order,
+    // each an array of channels
+    stripFrames: [],
+
+    // Row confidence for each frame of the strip, or null for density tracks
+    stripConfidence: [],
+
+    // Track image column profiles for each frame of the strip, to find
+    // where frames overlap
+    stripProfiles: [],
+
+    // Stitched channels before restoration, for A/B comparison
+    rawAudio: null,
     isPlaying: false,
 
+    // Set by the cancel button, to stop a video between frames
+    cancelRequested: false,
+
+    // Frames read below this quality are flagged in the frame report
+    lowFrameQuality: 0.5,
+
+    // The last image sequence's file names and each frame's channels,
+    // for a WAV per frame
+    sequenceAudio: null,
+
+    // Display names for detected track types
+    trackTypeLabels: {
+        'variable-area': 'variable area',
+        'variable-density': 'variable density'
+    },
+
+    // Display names for print polarities
+    polarityLabels: {
+        positive: 'positive',
+        reversal: 'reversal',
+        negative: 'negative'
+    },
+
+    // Extraction stages in order, with their progress labels
+    stageLabels: {
+        prepare: 'Cropping and deskewing',
+        defects: 'Repairing dust and scratches',
+        density: 'Reading density',
+        blur: 'Filtering grain',
+        threshold: 'Thresholding',
+        edges: 'Tracing track edges',
+        finish: 'Finishing waveform',
+        perforations: 'Measuring perforations'
+    },
+
     // DOM references
     elements: {},
 
@@ -28,6 +77,17 @@ const App = {
         // Initialize easter eggs
         EasterEggs.initEasterEggs();
 
+        // Restore the flat-field calibration for this rig
+        FlatField.load();
+        this.updateFlatFieldControls();
+
+        // Restore the film format, which sets the frame length
+        this.elements.filmFormatSelect.value = FilmFormats.load();
+        this.applyFilmFormat();
+
+        // Start the playback EQ from the controls' defaults
+        AudioEngine.setEQ(this.getEQSettings());
+
         // Initialize camera
         await this.initializeCamera();
 
@@ -51,13 +111,49 @@ const App = {
             captureBtn: document.getElementById('captureBtn'),
             uploadBtn: document.getElementById('uploadBtn'),
             fileInput: document.getElementById('fileInput'),
+            folderBtn: document.getElementById('folderBtn'),
+            folderInput: document.getElementById('folderInput'),
 
             // Process screen
             imageCanvas: document.getElementById('imageCanvas'),
             roiSelector: document.getElementById('roiSelector'),
             retakeBtn: document.getElementById('retakeBtn'),
+            redetectBtn: document.getElementById('redetectBtn'),
+            detectInfo: document.getElementById('detectInfo'),
+            sequenceBar: document.getElementById('sequenceBar'),
+            sequenceLabel: document.getElementById('sequenceLabel'),
+            prevFrameBtn: document.getElementById('prevFrameBtn'),
+            nextFrameBtn: document.getElementById('nextFrameBtn'),
+            sharedRoiBtn: document.getElementById('sharedRoiBtn'),
             extractBtn: document.getElementById('extractBtn'),
+            filmFormatSelect: document.getElementById('filmFormatSelect'),
+            orientationSelect: document.getElementById('orientationSelect'),
+            directionSelect: document.getElementById('directionSelect'),
+            trackTypeSelect: document.getElementById('trackTypeSelect'),
+            soundLayoutSelect: document.getElementById('soundLayoutSelect'),
+            gammaInput: document.getElementById('gammaInput'),
+            polaritySelect: document.getElementById('polaritySelect'),
+            channelMixSelect: document.getElementById('channelMixSelect'),
+            deskewToggle: document.getElementById('deskewToggle'),
+            perforationToggle: document.getElementById('perforationToggle'),
+            thresholdSelect: document.getElementById('thresholdSelect'),
+            denoiseFilterSelect: document.getElementById('denoiseFilterSelect'),
+            flatFieldToggle: document.getElementById('flatFieldToggle'),
+            flatFieldBtn: document.getElementById('flatFieldBtn'),
+            repairToggle: document.getElementById('repairToggle'),
+            defectsBtn: document.getElementById('defectsBtn'),
+            blurRadiusInput: document.getElementById('blurRadiusInput'),
+            gaussianSigmaInput: document.getElementById('gaussianSigmaInput'),
+            medianRadiusInput: document.getElementById('medianRadiusInput'),
+            sauvolaKInput: document.getElementById('sauvolaKInput'),
+            smoothingWindowInput: document.getElementById('smoothingWindowInput'),
+            minStdDevInput: document.getElementById('minStdDevInput'),
+            minConfidenceInput: document.getElementById('minConfidenceInput'),
+            minSkewInput: document.getElementById('minSkewInput'),
             loadingOverlay: document.getElementById('loadingOverlay'),
+            loadingText: document.getElementById('loadingText'),
+            loadingProgress: document.getElementById('loadingProgress'),
+            cancelBtn: document.getElementById('cancelBtn'),
 
             // Playback screen
             waveformCanvas: document.getElementById('waveformCanvas'),
@@ -66,9 +162,33 @@ const App = {
             speedSlider: document.getElementById('speedSlider'),
             speedValue: document.getElementById('speedValue'),
             loopToggle: document.getElementById('loopToggle'),
+            humToggle: document.getElementById('humToggle'),
+            humFrequency: document.getElementById('humFrequency'),
+            humStrength: document.getElementById('humStrength'),
+            denoiseToggle: document.getElementById('denoiseToggle'),
+            denoiseStrength: document.getElementById('denoiseStrength'),
+            learnNoiseBtn: document.getElementById('learnNoiseBtn'),
+            declickToggle: document.getElementById('declickToggle'),
+            declickStrength: document.getElementById('declickStrength'),
+            compareRawToggle: document.getElementById('compareRawToggle'),
+            matrixToggle: document.getElementById('matrixToggle'),
+            eqCurveSelect: document.getElementById('eqCurveSelect'),
+            slitLossToggle: document.getElementById('slitLossToggle'),
+            eqLowFrequency: document.getElementById('eqLowFrequency'),
+            eqLowGain: document.getElementById('eqLowGain'),
+            eqMidFrequency: document.getElementById('eqMidFrequency'),
+            eqMidGain: document.getElementById('eqMidGain'),
+            eqMidQ: document.getElementById('eqMidQ'),
+            eqHighFrequency: document.getElementById('eqHighFrequency'),
+            eqHighGain: document.getElementById('eqHighGain'),
             downloadBtn: document.getElementById('downloadBtn'),
+            downloadFramesBtn: document.getElementById('downloadFramesBtn'),
+            addFrameBtn: document.getElementById('addFrameBtn'),
             scanAnotherBtn: document.getElementById('scanAnotherBtn'),
             audioInfo: document.getElementById('audioInfo'),
+            frameReport: document.getElementById('frameReport'),
+            frameReportSummary: document.getElementById('frameReportSummary'),
+            frameReportList: document.getElementById('frameReportList'),
 
             // Modal
             aboutBtn: document.getElementById('aboutBtn'),
@@ -106,16 +226,51 @@ const App = {
         this.elements.captureBtn.addEventListener('click', () => this.capturePhoto());
         this.elements.uploadBtn.addEventListener('click', () => this.elements.fileInput.click());
         this.elements.fileInput.addEventListener('change', (e) => this.handleFileUpload(e));
+        this.elements.folderBtn.addEventListener('click', () => this.elements.folderInput.click());
+        this.elements.folderInput.addEventListener('change', (e) => this.handleFileUpload(e));
 
         // Process screen
         this.elements.retakeBtn.addEventListener('click', () => this.retake());
+        this.elements.redetectBtn.addEventListener('click', () => this.redetectTrack());
+        this.elements.prevFrameBtn.addEventListener('click', () => this.goToFrame(ImageSequence.current - 1));
+        this.elements.nextFrameBtn.addEventListener('click', () => this.goToFrame(ImageSequence.current + 1));
+        this.elements.sharedRoiBtn.addEventListener('click', () => this.useSharedROI());
+        this.elements.filmFormatSelect.addEventListener('change', () => this.changeFilmFormat());
+        this.elements.orientationSelect.addEventListener('change', () => this.changeOrientation(true));
+        this.elements.directionSelect.addEventListener('change', () => this.changeOrientation(false));
+        this.elements.flatFieldBtn.addEventListener('click', () => this.calibrateFlatField());
+        this.elements.defectsBtn.addEventListener('click', () => this.showDefects());
         this.elements.extractBtn.addEventListener('click', () => this.extractWaveform());
+        this.elements.cancelBtn.addEventListener('click', () => this.cancelExtraction());
 
         // Playback screen
         this.elements.playBtn.addEventListener('click', () => this.togglePlayback());
         this.elements.speedSlider.addEventListener('input', (e) => this.updateSpeed(e.target.value));
         this.elements.loopToggle.addEventListener('change', (e) => this.updateLoop(e.target.checked));
+
+        // Restoration controls
+        [
+            'humToggle', 'humFrequency', 'humStrength',
+            'denoiseToggle', 'denoiseStrength',
+            'declickToggle', 'declickStrength',
+            'compareRawToggle', 'matrixToggle'
+        ].forEach(name => {
+            this.elements[name].addEventListener('change', () => this.applyRestoration());
+        });
+        this.elements.learnNoiseBtn.addEventListener('click', () => this.learnNoiseProfile());
+
+        // Equalisation controls
+        [
+            'eqCurveSelect', 'slitLossToggle',
+            'eqLowFrequency', 'eqLowGain',
+            'eqMidFrequency', 'eqMidGain', 'eqMidQ',
+            'eqHighFrequency', 'eqHighGain'
+        ].forEach(name => {
+            this.elements[name].addEventListener('change', () => this.applyEQ());
+        });
         this.elements.downloadBtn.addEventListener('click', (e) => this.downloadAudio(e));
+        this.elements.downloadFramesBtn.addEventListener('click', () => this.downloadFrameWAVs());
+        this.elements.addFrameBtn.addEventListener('click', () => this.addNextFrame());
         this.elements.scanAnotherBtn.addEventListener('click', () => this.scanAnother());
 
         // Modal
@@ -176,8 +331,8 @@ const App = {
             this.initializeCamera();
         } else if (screenName === 'playback') {
             WaveformRenderer.initWaveformCanvas(this.elements.waveformCanvas);
-            if (this.extractedWaveform) {
-                WaveformRenderer.drawWaveform(this.extractedWaveform);
+            if (this.extractedChannels) {
+                WaveformRenderer.drawWaveform(this.extractedChannels, this.getChannelLabels());
             }
         }
     },
@@ -203,6 +358,8 @@ const App = {
 
         this.capturedImageData = imageData;
         Camera.stopCamera();
+        VideoImporter.close();
+        this.closeSequence();
 
         // Initialize ROI selector on process screen
         ROISelector.initROISelector(
@@ -211,19 +368,40 @@ const App = {
             this.elements.roiSelector,
             this.elements.imageCanvas.parentElement
         );
+        this.showDetection(ROISelector.detection);
 
         this.showScreen('process');
     },
 
     /**
      * Handle file upload
+     * A video, or several images, are opened as frames to step through;
+     * the first frame is shown for placing the ROI that all will be read with.
      */
     async handleFileUpload(event) {
-        const file = event.target.files[0];
+        const files = Array.from(event.target.files);
+        const file = files[0];
         if (!file) return;
 
         try {
-            this.capturedImageData = await Camera.handleFileUpload(file);
+            this.closeSequence();
+
+            if (files.length > 1) {
+                VideoImporter.close();
+                const frameCount = ImageSequence.open(files);
+                this.capturedImageData = await ImageSequence.readFrame(0);
+                EasterEggs.showToast(`${frameCount} frames; the ROI on the first is used for all`, 3000);
+            } else if (VideoImporter.isVideo(file)) {
+                const { frameCount, frameRate, measured } = await VideoImporter.open(file);
+                this.capturedImageData = await VideoImporter.readFrame(0);
+                const rate = measured
+                    ? `at ${frameRate.toFixed(3).replace(/\.?0+$/, '')} fps`
+                    : `assuming ${VideoImporter.fps} fps (this browser can't show the clip's frame times)`;
+                EasterEggs.showToast(`${frameCount} frames ${rate}; the ROI will be read on each`, 4000);
+            } else {
+                VideoImporter.close();
+                this.capturedImageData = await Camera.handleFileUpload(file);
+            }
             Camera.stopCamera();
 
             // Initialize ROI selector
@@ -233,20 +411,227 @@ const App = {
                 this.elements.roiSelector,
                 this.elements.imageCanvas.parentElement
             );
+            this.showDetection(ROISelector.detection);
+            this.updateSequenceBar();
 
             this.showScreen('process');
         } catch (error) {
-            this.showError(error.message);
+            this.closeSequence();
+            if (error.message === 'VIDEO_UNSUPPORTED') {
+                this.showError('This browser can\'t play that video. Try an MP4 (H.264) or WebM file.');
+            } else if (error.message === 'VIDEO_NO_DURATION') {
+                this.showError('This video doesn\'t record how long it is, as WebM saved straight from a browser often doesn\'t. Remux or convert it (to MP4, say) and try again.');
+            } else if (error.message === 'VIDEO_TIMEOUT') {
+                this.showError('The video took too long to load. Try converting it to MP4 (H.264).');
+            } else if (error.message === 'NO_IMAGES') {
+                this.showError('None of the chosen files is an image.');
+            } else {
+                this.showError(error.message);
+            }
         }
 
         // Reset file input
         event.target.value = '';
     },
 
+    /**
+     * Keep the ROI drawn on the sequence frame being shown
+     */
+    storeSequenceROI() {
+        ImageSequence.setBounds(ImageSequence.current, ROISelector.getROIBounds());
+    },
+
+    /**
+     * Show another frame of the sequence with the ROI it will be read with
+     */
+    async goToFrame(index) {
+        if (index < 0 || index >= ImageSequence.getFrameCount()) return;
+
+        try {
+            this.storeSequenceROI();
+            const imageData = ROISelector.fitImage(await ImageSequence.readFrame(index));
+            ImageSequence.current = index;
+            this.capturedImageData = imageData;
+            ROISelector.loadFrame(imageData, ImageSequence.getBounds(index, imageData));
+            this.syncOrientationSelects();
+            this.updateSequenceBar();
+        } catch (error) {
+            this.showError(error.message);
+        }
+    },
+
+    /**
+     * Drop the shown frame's own ROI and put the shared one back
+     */
+    useSharedROI() {
+        ImageSequence.clearOverride(ImageSequence.current);
+        const imageData = ROISelector.getImageData();
+        ROISelector.loadFrame(imageData, ImageSequence.getBounds(ImageSequence.current, imageData));
+        this.syncOrientationSelects();
+        this.updateSequenceBar();
+    },
+
+    /**
+     * Show the orientation and direction settings of the frame on screen
+     */
+    syncOrientationSelects() {
+        this.elements.orientationSelect.value = ROISelector.orientationSetting;
+        this.elements.directionSelect.value = ROISelector.directionSetting;
+    },
+
+    /**
+     * Show where in the sequence the process screen is, or hide the bar
+     * when no sequence is open
+     */
+    updateSequenceBar() {
+        const open = ImageSequence.isOpen();
+        this.elements.sequenceBar.style.display = open ? '' : 'none';
+        if (!open) return;
+
+        const index = ImageSequence.current;
+        const count = ImageSequence.getFrameCount();
+        const roi = ImageSequence.hasOverride(index) ? 'own ROI' : 'shared ROI';
+        this.elements.sequenceLabel.textContent = `Frame ${index + 1} of ${count}: ${ImageSequence.getName(index)} (${roi})`;
+        this.elements.prevFrameBtn.disabled = index === 0;
+        this.elements.nextFrameBtn.disabled = index === count - 1;
+
+        // The first frame's ROI is the shared one
+        this.elements.sharedRoiBtn.disabled = index === 0;
+    },
+
+    /**
+     * Forget any open image sequence and hide its controls
+     */
+    closeSequence() {
+        ImageSequence.close();
+        this.elements.sequenceBar.style.display = 'none';
+    },
+
+    /**
+     * Switch film format from the process screen
+     * Frames of different lengths can't be joined, so a change starts a new
+     * strip, and the ROI is placed again where this gauge puts its track.
+     */
+    changeFilmFormat() {
+        FilmFormats.select(this.elements.filmFormatSelect.value);
+        this.applyFilmFormat();
+
+        if (this.stripFrames.length > 0) {
+            this.stripFrames = [];
+            this.stripConfidence = [];
+            this.stripProfiles = [];
+            EasterEggs.showToast('Film format changed, starting a new strip', 3000);
+        }
+
+        this.redetectTrack();
+    },
+
+    /**
+     * Set the frame length for the chosen film format
+     */
+    applyFilmFormat() {
+        const { fps } = FilmFormats.getFormat();
+        AudioEngine.setFrameRate(fps);
+        VideoImporter.setFrameRate(fps);
+    },
+
+    /**
+     * Run soundtrack detection again and move the ROI back onto the track
+     */
+    redetectTrack() {
+        if (!ROISelector.getImageData()) return;
+        this.showDetection(ROISelector.detectTrack());
+    },
+
+    /**
+     * Apply the orientation and direction selects
+     * A new orientation changes the ROI's shape, so the track is found again.
+     */
+    changeOrientation(relocate) {
+        ROISelector.setOrientation(this.elements.orientationSelect.value, this.elements.directionSelect.value);
+
+        if (relocate) {
+            this.redetectTrack();
+        } else {
+            this.showDetection(ROISelector.detection);
+        }
+    },
+
+    /**
+     * Show how confident the automatic track placement was, and which way
+     * the film was taken to run
+     */
+    showDetection(detection) {
+        const orientation = this.describeOrientation(ROISelector.getROIBounds());
+
+        let text;
+        if (detection && detection.confidence >= ROISelector.minDetectionConfidence) {
+            const percent = Math.round(detection.confidence * 100);
+            text = `Track located (${percent}% confidence), ${orientation}.`;
+        } else {
+            text = `Track not found automatically (${orientation}). Drag the box over it.`;
+        }
+
+        // The track's side can't tell a tail-up print from one scanned through its base
+        if (ROISelector.directionConfidence !== null) {
+            text += ' Direction guessed from the track\'s side; if the sound plays backwards, the scan may be from the base side, so pick head or tail under Film runs.';
+        }
+        this.elements.detectInfo.textContent = text;
+    },
+
+    /**
+     * Name the way the film runs under an ROI, e.g. "horizontal, tail up"
+     */
+    describeOrientation(bounds) {
+        return `${bounds.orientation}, ${bounds.direction.replace('-', ' ')}`;
+    },
+
+    /**
+     * Store the current image (blank film or clear leader) as the flat-field reference
+     */
+    calibrateFlatField() {
+        const imageData = ROISelector.getImageData();
+        if (!imageData) return;
+
+        FlatField.setReference(imageData);
+        this.updateFlatFieldControls();
+        EasterEggs.showToast('Flat-field reference saved', 3000);
+    },
+
+    /**
+     * Enable the flat-field toggle once a reference exists
+     */
+    updateFlatFieldControls() {
+        const available = FlatField.hasReference();
+        this.elements.flatFieldToggle.disabled = !available;
+        this.elements.flatFieldToggle.checked = available;
+    },
+
+    /**
+     * Outline the dust and scratches found under the ROI
+     */
+    showDefects() {
+        const imageData = ROISelector.getImageData();
+        if (!imageData) return;
+
+        try {
+            const defects = ImageProcessor.findDefects(imageData, ROISelector.getROIBounds(), this.getExtractionOptions());
+            ROISelector.drawDefects(defects);
+
+            const dust = defects.filter(defect => defect.type === 'dust').length;
+            const scratches = defects.length - dust;
+            EasterEggs.showToast(`${dust} dust, ${scratches} scratch${scratches === 1 ? '' : 'es'} found`, 3000);
+        } catch (error) {
+            this.showExtractionError(error);
+        }
+    },
+
     /**
      * Go back to capture screen
      */
     retake() {
+        VideoImporter.close();
+        this.closeSequence();
         ROISelector.reset();
         this.capturedImageData = null;
         this.showScreen('capture');
@@ -266,41 +651,664 @@ const App = {
         }
 
         // Show loading overlay
-        this.elements.loadingOverlay.classList.add('active');
+        this.showLoading();
 
-        // Use setTimeout to allow UI to update
-        setTimeout(() => {
-            try {
-                this.extractedWaveform = ImageProcessor.extractWaveform(imageData, bounds);
+        const options = this.getExtractionOptions();
+        const perfsPerFrame = this.elements.perforationToggle.checked
+            ? FilmFormats.getFormat().perfsPerFrame
+            : null;
+
+        if (ImageSequence.isOpen()) {
+            await this.extractSequence(options, perfsPerFrame);
+            return;
+        }
+        if (VideoImporter.isOpen()) {
+            await this.extractVideo(bounds, options, perfsPerFrame);
+            return;
+        }
 
-                // Check for sum of 42 easter egg
-                EasterEggs.checkSumOf42(this.extractedWaveform);
+        try {
+            // Time the ROI against the sprocket holes, so its length in
+            // frames sets the sample count whatever height was drawn
+            const { channels, diagnostics, profiles, timing } = await ExtractionRunner.run(
+                imageData, bounds, options, perfsPerFrame,
+                (stage) => this.showProgress(stage)
+            );
+            const positions = this.getSamplePositions(bounds, timing);
 
-                // Create audio buffer
-                AudioEngine.createAudioBuffer(this.extractedWaveform);
+            // Slit-loss compensation depends on how finely the track was scanned
+            this.setScanEQ(bounds, positions.length);
 
-                // Update audio info
-                const duration = AudioEngine.getDuration();
-                const samples = AudioEngine.getSampleCount();
-                this.elements.audioInfo.textContent =
-                    `Duration: ${Utils.formatDuration(duration)} | Samples: ${samples}`;
+            // Mono and stereo frames can't be joined, so a switch starts a new strip
+            if (this.stripFrames.length > 0 && this.stripFrames[0].length !== channels.length) {
+                this.stripFrames = [];
+                this.stripConfidence = [];
+                this.stripProfiles = [];
+                EasterEggs.showToast('Channel count changed, starting a new strip', 3000);
+            }
 
-                // Hide loading and show playback screen
-                this.elements.loadingOverlay.classList.remove('active');
-                this.showScreen('playback');
+            // Add this frame to the strip and join it onto the earlier frames
+            this.stripFrames.push(channels.map(channel => Utils.resampleAt(channel, positions)));
+            this.stripProfiles.push(profiles.map(profile => Utils.resampleAt(profile, positions)));
+            const stitched = Stitcher.stitch(this.stripFrames, this.stripProfiles);
+            this.rawAudio = stitched.channels;
 
-            } catch (error) {
-                this.elements.loadingOverlay.classList.remove('active');
-
-                if (error.message === 'ROI_TOO_SMALL') {
-                    this.showError('Please select a larger region. The selection should cover the full height of the optical track.');
-                } else if (error.message === 'NO_VARIATION') {
-                    this.showError('The selected region appears blank. This might be a silent section of film, or the track wasn\'t captured clearly.');
-                } else {
-                    this.showError('Couldn\'t detect audio in the selected region. Try adjusting your selection to better align with the optical track, or ensure the film is evenly backlit.');
+            // Show how far each stretch of the strip can be trusted
+            this.stripConfidence.push(diagnostics.confidence ? Utils.resampleAt(diagnostics.confidence, positions) : null);
+            WaveformRenderer.setConfidence(this.stripConfidence.every(Boolean)
+                ? Stitcher.stitchAlong(this.stripConfidence, stitched.joins)
+                : null);
+
+            // Restore and create audio buffer
+            this.applyRestoration();
+
+            // Check for sum of 42 easter egg
+            EasterEggs.checkSumOf42(this.extractedChannels[0]);
+
+            // Update audio info
+            this.updateAudioInfo(diagnostics, stitched.joins, timing);
+            this.showFrameReport(null);
+
+            // Hide loading and show playback screen
+            this.hideLoading();
+            this.showScreen('playback');
+
+        } catch (error) {
+            this.hideLoading();
+            this.showExtractionError(error);
+        }
+    },
+
+    /**
+     * Read the ROI on every frame of the open video and join the frames,
+     * in order, into one clip
+     * The film moves one frame per video frame, so each frame gives exactly
+     * one frame of audio, and the frames are laid end to end.
+     */
+    extractVideo(bounds, options, perfsPerFrame) {
+        const frameSamples = AudioEngine.samplesPerFrame;
+
+        // An ROI longer than a frame repeats its neighbours; keep the middle frame's worth
+        const oneFrame = (data) => {
+            const start = Math.max(0, Math.floor((data.length - frameSamples) / 2));
+            return data.subarray(start, start + frameSamples);
+        };
+
+        return this.extractFrames({
+            count: VideoImporter.getFrameCount(),
+            readFrame: (index) => VideoImporter.readFrame(index),
+            boundsFor: () => bounds,
+            nameFor: (index) => `Frame ${index + 1}`,
+            trim: oneFrame,
+            join: (frames) => Stitcher.concatenate(frames)
+        }, options, perfsPerFrame);
+    },
+
+    /**
+     * Read every frame of the open image sequence, each with the shared ROI
+     * or its own, and join them into one clip
+     * Separate scans may overlap, so frames are stitched where their audio
+     * matches, as photographed frames are. Each frame's own audio is kept
+     * for export as a WAV per frame.
+     */
+    async extractSequence(options, perfsPerFrame) {
+        this.storeSequenceROI();
+
+        const frames = await this.extractFrames({
+            count: ImageSequence.getFrameCount(),
+            readFrame: async (index) => ROISelector.fitImage(await ImageSequence.readFrame(index)),
+            boundsFor: (index, imageData) => ImageSequence.getBounds(index, imageData),
+            nameFor: (index) => ImageSequence.getName(index) + (ImageSequence.hasOverride(index) ? ' (own ROI)' : ''),
+            trim: (data) => data,
+            join: (joined, profiles) => Stitcher.stitch(joined, profiles)
+        }, options, perfsPerFrame);
+
+        if (frames) {
+            this.sequenceAudio = {
+                names: frames.map((frame, index) => ImageSequence.getName(index)),
+                frames
+            };
+            this.elements.downloadFramesBtn.style.display = '';
+        }
+    },
+
+    /**
+     * Extract a run of frames and show them joined as one clip, which
+     * replaces the strip
+     * The source gives the frame count and, for each frame, its image, ROI
+     * (from the index and image), report name and a trim for its samples;
+     * join(frames, profiles) puts the frames together. Frames that can't be
+     * read stay in place as silence.
+     * Resolves to each frame's channels, or null if the run failed.
+     */
+    async extractFrames(source, options, perfsPerFrame) {
+        const { count, readFrame, boundsFor, nameFor, trim, join } = source;
+        const frameSamples = AudioEngine.samplesPerFrame;
+        const frames = [];
+        const confidence = [];
+        const profiles = [];
+        const read = [];
+        const report = [];
+        let first = null;
+        let lastError = null;
+
+        this.cancelRequested = false;
+
+        try {
+            for (let index = 0; index < count; index++) {
+                this.showFrameProgress(index, count);
+                const imageData = await readFrame(index);
+                if (this.cancelRequested) {
+                    throw new Error('CANCELLED');
+                }
+
+                const bounds = boundsFor(index, imageData);
+                const entry = { name: nameFor(index), quality: 0 };
+                report.push(entry);
+
+                try {
+                    const result = await ExtractionRunner.run(imageData, bounds, options, perfsPerFrame);
+                    const { channels, diagnostics, timing } = result;
+                    const positions = this.getSamplePositions(bounds, timing);
+
+                    frames.push(channels.map(channel => trim(Utils.resampleAt(channel, positions))));
+                    confidence.push(diagnostics.confidence ? trim(Utils.resampleAt(diagnostics.confidence, positions)) : null);
+                    profiles.push(result.profiles.map(profile => trim(Utils.resampleAt(profile, positions))));
+                    read.push(diagnostics);
+                    entry.quality = diagnostics.quality;
+                    entry.failedRows = diagnostics.failedRows.length;
+                    first = first || { bounds, timing };
+                } catch (error) {
+                    if (error.message === 'CANCELLED') throw error;
+
+                    frames.push(null);
+                    confidence.push(null);
+                    profiles.push(null);
+                    entry.error = error.message;
+                    entry.detail = this.describeFailure(error.diagnostics);
+                    lastError = error;
                 }
             }
-        }, 50);
+
+            if (read.length === 0) {
+                throw lastError || new Error('NO_VARIATION');
+            }
+
+            // Unreadable frames become silence, and count as untrusted
+            const channelCount = frames.find(Boolean).length;
+            const filled = frames.map(frame =>
+                frame || Array.from({ length: channelCount }, () => new Float32Array(frameSamples))
+            );
+            const clip = join(filled, profiles);
+            const trusted = confidence.every((values, i) => values || !frames[i]);
+            const clipConfidence = trusted
+                ? Stitcher.stitchAlong(filled.map((frame, i) => confidence[i] || new Float32Array(frame[0].length)), clip.joins)
+                : null;
+
+            clip.joins.filter(joinInfo => !joinInfo.resolved).forEach(joinInfo => {
+                report[joinInfo.frame].unmatched = true;
+            });
+
+            this.setScanEQ(first.bounds, this.getSamplePositions(first.bounds, first.timing).length);
+
+            // The clip starts a strip of its own; later frames join onto its end
+            this.stripFrames = [clip.channels];
+            this.stripConfidence = [clipConfidence];
+            this.stripProfiles = [this.joinProfiles(profiles, filled, clip.joins)];
+            this.rawAudio = clip.channels;
+            this.sequenceAudio = null;
+            this.elements.downloadFramesBtn.style.display = 'none';
+            WaveformRenderer.setConfidence(clipConfidence);
+
+            this.applyRestoration();
+            EasterEggs.checkSumOf42(this.extractedChannels[0]);
+
+            // Describe the clip by its first readable frame, with totals over all frames
+            this.updateAudioInfo({
+                ...read[0],
+                defects: read.flatMap(diagnostics => diagnostics.defects),
+                failedRows: read.flatMap(diagnostics => diagnostics.failedRows),
+                quality: report.reduce((sum, entry) => sum + entry.quality, 0) / report.length
+            }, [], first.timing);
+            this.showFrameReport(report);
+
+            this.hideLoading();
+            this.showScreen('playback');
+            return filled;
+        } catch (error) {
+            this.hideLoading();
+            this.showExtractionError(error);
+            return null;
+        }
+    },
+
+    /**
+     * Join a run of frames' column profiles the way their audio was joined,
+     * so a later frame can be matched against the end of the clip
+     * Unreadable frames contribute a flat stretch.
+     */
+    joinProfiles(profiles, frames, joins) {
+        const columns = profiles.find(Boolean).length;
+
+        return Array.from({ length: columns }, (_, column) => Stitcher.stitchAlong(
+            profiles.map((frame, i) => frame ? frame[column] : new Float32Array(frames[i][0].length)),
+            joins
+        ));
+    },
+
+    /**
+     * Explain why an extraction failed, with what the extractor had found
+     * by then; a cancelled one needs no message
+     */
+    showExtractionError(error) {
+        const detail = this.describeFailure(error.diagnostics);
+        const withDetail = (message) => detail ? `${message} (${detail})` : message;
+
+        if (error.message === 'CANCELLED') {
+            return;
+        } else if (error.message === 'ROI_TOO_SMALL') {
+            this.showError(withDetail('Please select a larger region. The selection should cover the full height of the optical track.'));
+        } else if (error.message === 'NO_VARIATION') {
+            this.showError(withDetail('The selected region appears blank. This might be a silent section of film, or the track wasn\'t captured clearly.'));
+        } else if (error.message === 'VIDEO_UNSUPPORTED') {
+            this.showError('The video stopped decoding partway through. Try converting it to MP4 (H.264) or WebM.');
+        } else if (error.message === 'VIDEO_TIMEOUT') {
+            this.showError('The video stopped responding while seeking to a frame. Try converting it to MP4 (H.264).');
+        } else {
+            this.showError('Couldn\'t detect audio in the selected region. Try adjusting your selection to better align with the optical track, ensure the film is evenly backlit, or switch to an adaptive threshold.');
+        }
+    },
+
+    /**
+     * Summarise the diagnostics an extraction error carried, or '' if none
+     */
+    describeFailure(diagnostics) {
+        if (!diagnostics) return '';
+
+        if (diagnostics.roi) {
+            return `selected ${diagnostics.roi.width}×${diagnostics.roi.height}px, at least ${diagnostics.minSize}px each way needed`;
+        }
+
+        const parts = [
+            `track: ${this.trackTypeLabels[diagnostics.trackType]}`,
+            `polarity: ${this.describePolarity(diagnostics.polarity)}`,
+            `variation ${diagnostics.spread.toFixed(4)}, ${diagnostics.minSpread} needed`
+        ];
+        if (diagnostics.clipping.fraction > 0.01) {
+            parts.push(`${(diagnostics.clipping.fraction * 100).toFixed(1)}% clipped`);
+        }
+        if (diagnostics.failedRows.length > 0) {
+            parts.push(`${diagnostics.failedRows.length} rows unreadable`);
+        }
+        return parts.join(', ');
+    },
+
+    /**
+     * Stop the extraction in progress, including a video between frames
+     */
+    cancelExtraction() {
+        this.cancelRequested = true;
+        VideoImporter.cancel();
+        ExtractionRunner.cancel();
+    },
+
+    /**
+     * Show the loading overlay with an empty progress bar
+     */
+    showLoading() {
+        this.elements.loadingText.textContent = 'Processing...';
+        this.elements.loadingProgress.style.width = '0%';
+        this.elements.loadingOverlay.classList.add('active');
+    },
+
+    /**
+     * Hide the loading overlay
+     */
+    hideLoading() {
+        this.elements.loadingOverlay.classList.remove('active');
+    },
+
+    /**
+     * Name the extraction stage that has started and advance the progress bar
+     */
+    showProgress(stage) {
+        const stages = Object.keys(this.stageLabels);
+        const index = stages.indexOf(stage);
+        if (index === -1) return;
+
+        this.elements.loadingText.textContent = `${this.stageLabels[stage]}...`;
+        this.elements.loadingProgress.style.width = `${Math.round(index / stages.length * 100)}%`;
+    },
+
+    /**
+     * Show which video frame is being read and advance the progress bar
+     */
+    showFrameProgress(index, count) {
+        this.elements.loadingText.textContent = `Reading frame ${index + 1} of ${count}...`;
+        this.elements.loadingProgress.style.width = `${Math.round(index / count * 100)}%`;
+    },
+
+    /**
+     * List the quality of each video frame, flagging weak and unreadable
+     * ones; pass null to hide the list
+     */
+    showFrameReport(report) {
+        const list = this.elements.frameReportList;
+        list.textContent = '';
+        this.elements.frameReport.hidden = !report;
+        if (!report) return;
+
+        const unreadable = report.filter(entry => entry.error).length;
+        this.elements.frameReportSummary.textContent = unreadable > 0
+            ? `Frame quality (${report.length} frames, ${unreadable} unreadable)`
+            : `Frame quality (${report.length} frames)`;
+
+        report.forEach(entry => {
+            const item = document.createElement('li');
+            if (entry.error) {
+                const detail = entry.detail ? ` (${entry.detail})` : '';
+                item.textContent = `${entry.name}: ${entry.error === 'NO_VARIATION' ? 'blank' : 'unreadable'}${detail}, silenced`;
+            } else {
+                const rows = entry.failedRows > 0 ? `, ${entry.failedRows} rows interpolated` : '';
+                item.textContent = `${entry.name}: ${Math.round(entry.quality * 100)}%${rows}`;
+            }
+            if (entry.unmatched) {
+                item.textContent += ', no overlap with the frame before, gap left';
+            }
+            item.classList.toggle('low', entry.quality < this.lowFrameQuality);
+            list.appendChild(item);
+        });
+    },
+
+    /**
+     * Read the extraction settings from the process screen
+     */
+    getExtractionOptions() {
+        const gamma = parseFloat(this.elements.gammaInput.value);
+
+        return {
+            trackType: this.elements.trackTypeSelect.value,
+            stereo: this.elements.soundLayoutSelect.value === 'stereo',
+            filmGamma: gamma > 0 ? gamma : 1,
+            polarity: this.elements.polaritySelect.value,
+            deskew: this.elements.deskewToggle.checked,
+            thresholdMethod: this.elements.thresholdSelect.value,
+            denoiseFilter: this.elements.denoiseFilterSelect.value,
+            channelMix: this.elements.channelMixSelect.value,
+            flatField: this.elements.flatFieldToggle.checked ? FlatField.getReference() : null,
+            repairDefects: this.elements.repairToggle.checked,
+            ...this.getAdvancedOptions()
+        };
+    },
+
+    /**
+     * Read the advanced panel, falling back to the extractor's defaults
+     * for anything left blank or out of range
+     */
+    getAdvancedOptions() {
+        const read = (input, key, min) => {
+            const value = parseFloat(input.value);
+            return Number.isFinite(value) && value >= min ? value : ImageProcessor.defaults[key];
+        };
+
+        return {
+            blurRadius: Math.round(read(this.elements.blurRadiusInput, 'blurRadius', 0)),
+            gaussianSigma: read(this.elements.gaussianSigmaInput, 'gaussianSigma', 0.3),
+            medianRadius: Math.round(read(this.elements.medianRadiusInput, 'medianRadius', 1)),
+            sauvolaK: read(this.elements.sauvolaKInput, 'sauvolaK', 0),
+            smoothingWindow: Math.round(read(this.elements.smoothingWindowInput, 'smoothingWindow', 1)),
+            minStdDev: read(this.elements.minStdDevInput, 'minStdDev', 0),
+            minConfidence: read(this.elements.minConfidenceInput, 'minConfidence', 0),
+            minSkewAngle: read(this.elements.minSkewInput, 'minSkewAngle', 0)
+        };
+    },
+
+    /**
+     * Where along the track rows of an ROI to take each 44.1 kHz sample
+     * With perforation timing, each row's time comes from its position
+     * against the holes, at perfsPerFrame holes per frame and the format's
+     * frame rate, so the measured pitch sets both how many samples the ROI
+     * holds and how they spread over its rows. Without it the ROI is taken
+     * to be exactly one frame.
+     */
+    getSamplePositions(bounds, timing) {
+        const rows = ImageProcessor.trackSize(bounds).height;
+
+        if (!timing) {
+            const count = AudioEngine.samplesPerFrame;
+            return Float64Array.from({ length: count }, (_, i) => (i + 0.5) * rows / count - 0.5);
+        }
+
+        // Distance travelled by each row boundary, in perforations
+        const perfs = PerforationDetector.perfPositions(timing, bounds);
+        const travelled = perfs.map(position => Math.abs(position - perfs[0]));
+        const total = travelled[rows];
+
+        const samplesPerPerf = 44100 / (FilmFormats.getFormat().fps * timing.perfsPerFrame);
+        const count = Math.max(1, Math.round(total * samplesPerPerf));
+        const positions = new Float64Array(count);
+        let row = 0;
+
+        for (let i = 0; i < count; i++) {
+            const target = (i + 0.5) * total / count;
+            while (row < rows - 1 && travelled[row + 1] < target) row++;
+
+            const span = travelled[row + 1] - travelled[row];
+            const within = span > 0 ? (target - travelled[row]) / span : 0.5;
+            positions[i] = row + within - 0.5;
+        }
+
+        return positions;
+    },
+
+    /**
+     * Tell the audio engine how finely an ROI's track was read, for
+     * slit-loss compensation: its rows per second of sound, and how many
+     * rows the format's scanning slit spans (never less than one)
+     */
+    setScanEQ(bounds, sampleCount) {
+        const { fps, perfsPerFrame, perfPitch, slitWidth } = FilmFormats.getFormat();
+        const rowRate = ImageProcessor.trackSize(bounds).height * 44100 / sampleCount;
+        const rowsPerMm = rowRate / fps / (perfsPerFrame * perfPitch);
+
+        AudioEngine.setEQ({ rowRate, apertureRows: Math.max(1, slitWidth * rowsPerMm) });
+    },
+
+    /**
+     * Show duration, sample count and what the extractor found
+     */
+    updateAudioInfo(diagnostics, joins = [], timing = null) {
+        const parts = [
+            `Duration: ${Utils.formatDuration(AudioEngine.getDuration())}`,
+            `Samples: ${AudioEngine.getSampleCount()}`,
+            `Format: ${FilmFormats.getFormat().label}`,
+            `Track: ${this.trackTypeLabels[diagnostics.trackType]}`,
+            `Colour: ${diagnostics.colour.label}${diagnostics.colour.preset === 'auto' ? ' (auto)' : ''}`,
+            `Polarity: ${this.describePolarity(diagnostics.polarity)}`
+        ];
+
+        if (this.extractedChannels.length > 1) {
+            parts.push(`Output: ${this.getChannelLabels().join('/')}`);
+        }
+        if (diagnostics.orientation !== 'vertical' || diagnostics.direction !== 'head-up') {
+            parts.push(`Orientation: ${this.describeOrientation(diagnostics)}`);
+        }
+        if (diagnostics.septum !== null) {
+            parts.push(`Septum: ${diagnostics.septum}px`);
+        }
+
+        if (timing) {
+            // Rows scanned per second of sound, from the pitch and the format's timing
+            const rowRate = timing.framePitch * FilmFormats.getFormat().fps;
+            parts.push(`Perf pitch: ${timing.perfPitch.toFixed(1)}px (${Math.round(rowRate)} rows/s)`);
+        } else if (this.elements.perforationToggle.checked) {
+            parts.push('Perforations not found, assuming 1 frame');
+        }
+
+        if (this.stripFrames.length > 1) {
+            parts.push(`Frames: ${this.stripFrames.length}`);
+
+            // Frames that don't overlap are left apart, with silence between
+            const unresolved = joins.filter(join => !join.resolved).map(join => join.frame + 1);
+            if (unresolved.length > 0) {
+                parts.push(`Gap before frame ${unresolved.join(', ')}`);
+            }
+        }
+
+        if (diagnostics.lanes) {
+            parts.push(`Lanes: ${diagnostics.lanes}`);
+        }
+
+        if (diagnostics.defects.length > 0) {
+            parts.push(`Defects repaired: ${diagnostics.defects.length}`);
+        }
+
+        if (diagnostics.sourceBits > 8) {
+            parts.push(`Source: ${diagnostics.sourceBits}-bit`);
+        }
+        parts.push(`Resolution: ${diagnostics.effectiveBits.toFixed(1)} bits`);
+
+        if (diagnostics.failedRows.length > 0) {
+            parts.push(`Interpolated: ${diagnostics.failedRows.length} rows`);
+        }
+
+        // A percent or so of clipped pixels is normal at the film's edges
+        if (diagnostics.clipping.fraction > 0.01) {
+            parts.push(`Clipped: ${(diagnostics.clipping.fraction * 100).toFixed(1)}%`);
+        }
+
+        // Beyond a few degrees the resampling softens the edges noticeably
+        const skew = `Skew: ${diagnostics.skewAngle.toFixed(1)}°`;
+        parts.push(Math.abs(diagnostics.skewAngle) > 3 ? `${skew} (consider recapturing)` : skew);
+
+        parts.push(`Quality: ${Math.round(diagnostics.quality * 100)}%`);
+
+        this.elements.audioInfo.textContent = parts.join(' | ');
+    },
+
+    /**
+     * Name the polarity used, flagging a detection too close to call, and
+     * a print assumed because no perforations showed whether it's reversal
+     */
+    describePolarity(polarity) {
+        const label = this.polarityLabels[polarity.value];
+        if (!polarity.auto) return label;
+
+        const unsure = polarity.confidence !== null && polarity.confidence < 0.2;
+        if (unsure) return `${label} (auto, unsure; set it by hand if the sound is wrong)`;
+        if (polarity.value === 'positive' && polarity.rebate === null) {
+            return `${label} (auto, assumed: no perforations to tell a print from reversal)`;
+        }
+        return `${label} (auto)`;
+    },
+
+    /**
+     * Read the restoration settings from the playback screen
+     */
+    getRestorationSettings() {
+        return {
+            hum: {
+                enabled: this.elements.humToggle.checked,
+                frequency: parseInt(this.elements.humFrequency.value, 10),
+                strength: parseFloat(this.elements.humStrength.value)
+            },
+            denoise: {
+                enabled: this.elements.denoiseToggle.checked,
+                strength: parseFloat(this.elements.denoiseStrength.value)
+            },
+            declick: {
+                enabled: this.elements.declickToggle.checked,
+                strength: parseFloat(this.elements.declickStrength.value)
+            }
+        };
+    },
+
+    /**
+     * Run restoration on the raw audio and rebuild the playback buffer
+     */
+    applyRestoration() {
+        if (!this.rawAudio) return;
+
+        const useRaw = this.elements.compareRawToggle.checked;
+        const settings = this.getRestorationSettings();
+        let channels = useRaw
+            ? this.rawAudio
+            : this.rawAudio.map(channel => Restoration.process(channel, settings));
+
+        // Optionally unfold a stereo Lt/Rt pair into L, R, C and S
+        const stereo = channels.length === 2;
+        this.elements.matrixToggle.disabled = !stereo;
+        let layout = null;
+        if (stereo && this.elements.matrixToggle.checked) {
+            channels = AudioEngine.matrixDecode(channels[0], channels[1]);
+            layout = 'lcrs';
+        }
+
+        this.extractedChannels = channels;
+        AudioEngine.createAudioBuffer(channels, channels[0].length, layout);
+
+        if (this.currentScreen === 'playback') {
+            WaveformRenderer.drawWaveform(this.extractedChannels, this.getChannelLabels());
+
+            // Restart so the change is heard straight away
+            if (this.isPlaying) {
+                this.stopPlayback();
+                this.startPlayback();
+            }
+        }
+    },
+
+    /**
+     * Read the playback curve and parametric bands from the playback screen
+     */
+    getEQSettings() {
+        const number = (name) => parseFloat(this.elements[name].value) || 0;
+
+        // Keep to the inputs' ranges, however the values were typed
+        const frequency = (name) => Utils.clamp(number(name), 20, 20000);
+        const q = Utils.clamp(number('eqMidQ') || 1, 0.1, 10);
+
+        return {
+            curve: this.elements.eqCurveSelect.value,
+            slitLoss: this.elements.slitLossToggle.checked,
+            bands: [
+                { type: 'lowshelf', frequency: frequency('eqLowFrequency'), gain: number('eqLowGain') },
+                { type: 'peaking', frequency: frequency('eqMidFrequency'), gain: number('eqMidGain'), q },
+                { type: 'highshelf', frequency: frequency('eqHighFrequency'), gain: number('eqHighGain') }
+            ]
+        };
+    },
+
+    /**
+     * Pass the EQ settings to the audio engine, restarting playback to hear them
+     */
+    applyEQ() {
+        AudioEngine.setEQ(this.getEQSettings());
+
+        if (this.isPlaying) {
+            this.stopPlayback();
+            this.startPlayback();
+        }
+    },
+
+    /**
+     * Speaker names for the channels being played, or null for mono
+     */
+    getChannelLabels() {
+        const names = AudioEngine.channelLayouts[AudioEngine.channelLayout].names;
+        return names.length > 1 ? names : null;
+    },
+
+    /**
+     * Take the current raw audio as the noise profile (scan a blank section first)
+     */
+    learnNoiseProfile() {
+        if (!this.rawAudio) return;
+
+        if (Restoration.learnNoiseProfile(Stitcher.mixDown(this.rawAudio))) {
+            EasterEggs.showToast('Noise profile learned', 3000);
+            this.applyRestoration();
+        }
     },
 
     /**
@@ -386,7 +1394,7 @@ const App = {
     /**
      * Download audio as WAV
      */
-    downloadAudio(event) {
+    async downloadAudio(event) {
         // Check if long press easter egg is active (handled by EasterEggs module)
         if (EasterEggs.isLongPressActive()) {
             return; // Let easter egg handle it
@@ -397,8 +1405,60 @@ const App = {
             return;
         }
 
-        const blob = AudioEngine.encodeWAV(AudioEngine.currentBuffer);
-        AudioEngine.downloadWAV(blob, 'optical_audio.wav');
+        try {
+            // Export what is heard, with the playback EQ applied
+            const rendered = await AudioEngine.renderEQ(AudioEngine.currentBuffer);
+            const blob = AudioEngine.encodeWAV(rendered);
+            AudioEngine.downloadWAV(blob, 'optical_audio.wav');
+        } catch (error) {
+            console.error('Export failed:', error);
+            this.showError('Couldn\'t prepare the WAV file');
+        }
+    },
+
+    /**
+     * Download a WAV for each frame of the last image sequence, in one ZIP
+     * Each frame is restored and equalised as the clip is, on its own.
+     */
+    async downloadFrameWAVs() {
+        if (!this.sequenceAudio) return;
+
+        try {
+            const useRaw = this.elements.compareRawToggle.checked;
+            const settings = this.getRestorationSettings();
+            const entries = [];
+
+            const { names, frames } = this.sequenceAudio;
+            for (const [index, frame] of frames.entries()) {
+                const channels = useRaw ? frame : frame.map(channel => Restoration.process(channel, settings));
+                const buffer = AudioEngine.getContext().createBuffer(channels.length, channels[0].length, 44100);
+                channels.forEach((channel, c) => buffer.getChannelData(c).set(channel));
+
+                const blob = AudioEngine.encodeWAV(await AudioEngine.renderEQ(buffer));
+                entries.push({
+                    name: `${names[index].replace(/\.[^.]*$/, '')}.wav`,
+                    data: new Uint8Array(await blob.arrayBuffer())
+                });
+            }
+
+            AudioEngine.downloadWAV(ZipWriter.create(entries), 'optical_frames.zip');
+        } catch (error) {
+            console.error('Export failed:', error);
+            this.showError('Couldn\'t prepare the frame WAV files');
+        }
+    },
+
+    /**
+     * Capture the next frame of the strip, keeping the frames so far
+     */
+    addNextFrame() {
+        this.stopPlayback();
+        VideoImporter.close();
+        this.closeSequence();
+        ROISelector.reset();
+        this.capturedImageData = null;
+
+        this.showScreen('capture');
     },
 
     /**
@@ -408,9 +1468,18 @@ const App = {
         this.stopPlayback();
         AudioEngine.stop();
         WaveformRenderer.reset();
+        VideoImporter.close();
+        this.closeSequence();
         ROISelector.reset();
+        this.showFrameReport(null);
+        this.sequenceAudio = null;
+        this.elements.downloadFramesBtn.style.display = 'none';
         this.capturedImageData = null;
-        this.extractedWaveform = null;
+        this.extractedChannels = null;
+        this.stripFrames = [];
+        this.stripConfidence = [];
+        this.stripProfiles = [];
+        this.rawAudio = null;
 
         // Reset playback controls
         this.elements.speedSlider.value = 1;
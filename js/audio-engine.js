@@ -10,6 +10,49 @@ const AudioEngine = {
     pauseTime: 0,
     isPlaying: false,
 
+    // One film frame at 44.1kHz: 1/24 second (44100 / 24 ≈ 1837.5)
+    // unless setFrameRate() picks another rate
+    samplesPerFrame: 1837,
+
+    // Channel orders, with the WAV speaker mask for each
+    // (front left 0x1, front right 0x2, front centre 0x4, back centre 0x100)
+    channelLayouts: {
+        mono: { names: ['M'], mask: 0x4 },
+        stereo: { names: ['L', 'R'], mask: 0x3 },
+        lcrs: { names: ['L', 'R', 'C', 'S'], mask: 0x107 }
+    },
+    channelLayout: 'mono',
+
+    // Playback equalisation, applied live and to exported audio
+    // rowRate is how many scanned rows make one second of sound, and
+    // apertureRows the height, in rows, of the aperture the track is read through
+    eq: {
+        curve: 'flat',
+        slitLoss: false,
+        rowRate: null,
+        apertureRows: 1,
+        bands: []
+    },
+
+    // Theatre playback curves as filter chains (approximate)
+    // Academy: steep roll-off above about 4 kHz and below 50 Hz.
+    // X-curve (ISO 2969): flat to 2 kHz, then falling about 3 dB per octave.
+    eqCurves: {
+        flat: [],
+        academy: [
+            { type: 'highpass', frequency: 45, q: 0.7 },
+            { type: 'lowpass', frequency: 4000, q: 0.6 }
+        ],
+        'x-curve': [
+            { type: 'highshelf', frequency: 2800, gain: -3 },
+            { type: 'highshelf', frequency: 5600, gain: -3 },
+            { type: 'highshelf', frequency: 11200, gain: -3 }
+        ]
+    },
+
+    // Most boost allowed to undo the aperture loss
+    maxSlitBoost: 12,
+
     /**
      * Get or create AudioContext (lazy initialization)
      */
@@ -33,33 +76,72 @@ const AudioEngine = {
 
     /**
      * Create AudioBuffer from waveform data
-     * Resamples to match 1/24 second at 44.1kHz (1837 samples)
+     * Takes one waveform or an array of channels, in the layout's order.
+     * Resamples to one film frame (samplesPerFrame) unless told otherwise
      */
-    createAudioBuffer(waveformData) {
+    createAudioBuffer(waveformData, targetSamples = this.samplesPerFrame, layout = null) {
         const ctx = this.getContext();
-        const targetSamples = 1837; // 44100 / 24 ≈ 1837.5
         const sampleRate = 44100;
+        const channels = Array.isArray(waveformData) ? waveformData : [waveformData];
 
         // Create the buffer
-        const buffer = ctx.createBuffer(1, targetSamples, sampleRate);
-        const channelData = buffer.getChannelData(0);
+        const buffer = ctx.createBuffer(channels.length, targetSamples, sampleRate);
+        channels.forEach((channel, c) => {
+            buffer.getChannelData(c).set(Utils.resample(channel, targetSamples));
+        });
+
+        this.channelLayout = layout || this.layoutForChannels(channels.length);
+        this.currentBuffer = buffer;
+        return buffer;
+    },
 
-        // Resample using linear interpolation
-        const sourceLength = waveformData.length;
+    /**
+     * Default layout name for a channel count
+     */
+    layoutForChannels(count) {
+        return Object.keys(this.channelLayouts)
+            .find(name => this.channelLayouts[name].names.length === count) || 'mono';
+    },
 
-        for (let i = 0; i < targetSamples; i++) {
-            // Map target index to source index
-            const sourceIndex = (i / targetSamples) * sourceLength;
-            const index0 = Math.floor(sourceIndex);
-            const index1 = Math.min(index0 + 1, sourceLength - 1);
-            const t = sourceIndex - index0;
+    /**
+     * Passive Lt/Rt matrix decode to L, R, C, S
+     * Centre is what the two channels share and surround what differs;
+     * there is no steering logic, surround delay or noise reduction.
+     */
+    matrixDecode(lt, rt) {
+        const length = Math.min(lt.length, rt.length);
+        const centre = new Float32Array(length);
+        const surround = new Float32Array(length);
 
-            // Linear interpolation
-            channelData[i] = Utils.lerp(waveformData[index0], waveformData[index1], t);
+        for (let i = 0; i < length; i++) {
+            centre[i] = Math.SQRT1_2 * (lt[i] + rt[i]);
+            surround[i] = Math.SQRT1_2 * (lt[i] - rt[i]);
         }
 
-        this.currentBuffer = buffer;
-        return buffer;
+        return [Float32Array.from(lt), Float32Array.from(rt), centre, surround];
+    },
+
+    /**
+     * Fold L, R, C, S down to two speakers for monitoring
+     */
+    createFoldDown(ctx, source) {
+        const splitter = ctx.createChannelSplitter(4);
+        const merger = ctx.createChannelMerger(2);
+        source.connect(splitter);
+
+        // Gains from each input channel (L, R, C, S) to each output side
+        const mix = [[0.5, 0], [0, 0.5], [0.35, 0.35], [0.25, 0.25]];
+        mix.forEach(([toLeft, toRight], input) => {
+            [toLeft, toRight].forEach((amount, output) => {
+                if (amount === 0) return;
+                const gain = ctx.createGain();
+                gain.gain.value = amount;
+                splitter.connect(gain, input);
+                gain.connect(merger, 0, output);
+            });
+        });
+
+        return merger;
     },
 
     /**
@@ -77,7 +159,14 @@ const AudioEngine = {
         source.playbackRate.value = speed;
         source.loop = loop;
 
-        source.connect(ctx.destination);
+        const output = this.connectEQ(ctx, source);
+
+        // Most outputs are stereo, and Web Audio would read four channels as quad
+        if (source.buffer.numberOfChannels === 4) {
+            this.createFoldDown(ctx, output).connect(ctx.destination);
+        } else {
+            output.connect(ctx.destination);
+        }
 
         this.currentSource = source;
         this.startTime = ctx.currentTime;
@@ -93,6 +182,97 @@ const AudioEngine = {
         return source;
     },
 
+    /**
+     * Set the film's frame rate, which fixes the samples in one frame
+     */
+    setFrameRate(fps) {
+        this.samplesPerFrame = Math.floor(44100 / fps);
+    },
+
+    /**
+     * Replace the equalisation settings (any of curve, slitLoss, rowRate,
+     * apertureRows, bands)
+     * Takes effect from the next play() or render.
+     */
+    setEQ(settings) {
+        this.eq = { ...this.eq, ...settings };
+    },
+
+    /**
+     * The filters for the current settings, in the order they are applied
+     * Each is { type, frequency, gain, q } for a BiquadFilterNode.
+     */
+    getEQFilters() {
+        const filters = [...this.eqCurves[this.eq.curve]];
+
+        if (this.eq.slitLoss && this.eq.rowRate) {
+            filters.push(this.slitLossFilter(this.eq.rowRate, this.eq.apertureRows));
+        }
+
+        return filters.concat(this.eq.bands.filter(band => band.gain !== 0));
+    },
+
+    /**
+     * High shelf undoing the aperture loss of the scan
+     * The aperture averages the track over its height, a sin(x)/x response
+     * that is down by the most at the top of the band: the rows' Nyquist
+     * frequency, or the output's if the rows are finer. A wide aperture can
+     * reach the response's null there, so the boost is held to maxSlitBoost.
+     */
+    slitLossFilter(rowRate, apertureRows) {
+        const top = Math.min(rowRate / 2, 22050);
+        const x = Math.PI * (top / rowRate) * apertureRows;
+        const loss = -20 * Math.log10(Math.abs(Math.sin(x) / x));
+
+        return {
+            type: 'highshelf',
+            frequency: top / 2,
+            gain: Math.min(this.maxSlitBoost, loss)
+        };
+    },
+
+    /**
+     * Chain the EQ filters after a node, returning the last one
+     */
+    connectEQ(ctx, input) {
+        let node = input;
+
+        for (const filter of this.getEQFilters()) {
+            const biquad = ctx.createBiquadFilter();
+            biquad.type = filter.type;
+            biquad.frequency.value = Math.min(filter.frequency, ctx.sampleRate / 2 - 1);
+            if (filter.gain !== undefined) biquad.gain.value = filter.gain;
+            if (filter.q !== undefined) biquad.Q.value = filter.q;
+
+            node.connect(biquad);
+            node = biquad;
+        }
+
+        return node;
+    },
+
+    /**
+     * Render a buffer through the EQ, for export
+     */
+    async renderEQ(audioBuffer) {
+        if (this.getEQFilters().length === 0) {
+            return audioBuffer;
+        }
+
+        const offlineCtx = new OfflineAudioContext(
+            audioBuffer.numberOfChannels,
+            audioBuffer.length,
+            audioBuffer.sampleRate
+        );
+
+        const source = offlineCtx.createBufferSource();
+        source.buffer = audioBuffer;
+        this.connectEQ(offlineCtx, source).connect(offlineCtx.destination);
+        source.start(0);
+
+        return await offlineCtx.startRendering();
+    },
+
     /**
      * Stop current playback
      */
@@ -163,12 +343,23 @@ const AudioEngine = {
 
     /**
      * Encode AudioBuffer to WAV Blob
+     * 16-bit PCM with the channels interleaved. More than two channels are
+     * written as WAVE_FORMAT_EXTENSIBLE, with a mask naming the speakers.
      */
     encodeWAV(audioBuffer) {
-        const numChannels = 1;
+        const numChannels = audioBuffer.numberOfChannels;
         const sampleRate = audioBuffer.sampleRate;
-        const samples = audioBuffer.getChannelData(0);
-        const buffer = new ArrayBuffer(44 + samples.length * 2);
+        const frames = audioBuffer.length;
+        const channels = [];
+        for (let c = 0; c < numChannels; c++) {
+            channels.push(audioBuffer.getChannelData(c));
+        }
+
+        const extensible = numChannels > 2;
+        const fmtSize = extensible ? 40 : 16;
+        const headerSize = 20 + fmtSize + 8;
+        const dataSize = frames * numChannels * 2;
+        const buffer = new ArrayBuffer(headerSize + dataSize);
         const view = new DataView(buffer);
 
         function writeString(offset, string) {
@@ -178,24 +369,39 @@ const AudioEngine = {
         }
 
         writeString(0, 'RIFF');
-        view.setUint32(4, 36 + samples.length * 2, true);
+        view.setUint32(4, headerSize - 8 + dataSize, true);
         writeString(8, 'WAVE');
         writeString(12, 'fmt ');
-        view.setUint32(16, 16, true);
-        view.setUint16(20, 1, true);
+        view.setUint32(16, fmtSize, true);
+        view.setUint16(20, extensible ? 0xFFFE : 1, true);
         view.setUint16(22, numChannels, true);
         view.setUint32(24, sampleRate, true);
         view.setUint32(28, sampleRate * numChannels * 2, true);
         view.setUint16(32, numChannels * 2, true);
         view.setUint16(34, 16, true);
-        writeString(36, 'data');
-        view.setUint32(40, samples.length * 2, true);
-
-        let offset = 44;
-        for (let i = 0; i < samples.length; i++) {
-            const s = Math.max(-1, Math.min(1, samples[i]));
-            view.setInt16(offset, s < 0 ? s * 0x8000 : s * 0x7FFF, true);
-            offset += 2;
+
+        if (extensible) {
+            const layout = this.channelLayouts[this.layoutForChannels(numChannels)];
+            view.setUint16(36, 22, true);
+            view.setUint16(38, 16, true);
+            view.setUint32(40, layout.names.length === numChannels ? layout.mask : 0, true);
+
+            // KSDATAFORMAT_SUBTYPE_PCM
+            const subtype = [0x01, 0x00, 0x00, 0x00, 0x00, 0x00, 0x10, 0x00,
+                0x80, 0x00, 0x00, 0xAA, 0x00, 0x38, 0x9B, 0x71];
+            subtype.forEach((byte, i) => view.setUint8(44 + i, byte));
+        }
+
+        writeString(headerSize - 8, 'data');
+        view.setUint32(headerSize - 4, dataSize, true);
+
+        let offset = headerSize;
+        for (let i = 0; i < frames; i++) {
+            for (let c = 0; c < numChannels; c++) {
+                const s = Math.max(-1, Math.min(1, channels[c][i]));
+                view.setInt16(offset, s < 0 ? s * 0x8000 : s * 0x7FFF, true);
+                offset += 2;
+            }
         }
 
         return new Blob([buffer], { type: 'audio/wav' });
@@ -112,15 +112,31 @@ const Camera = {
     },
 
     /**
-     * Handle file upload and return ImageData
+     * Handle file upload and return image data
+     * TIFFs and 16-bit PNGs are decoded at full depth by ImageDecoder;
+     * other images go through the browser and come back as 8-bit ImageData.
      */
-    handleFileUpload(file) {
-        return new Promise((resolve, reject) => {
-            if (!file || !file.type.startsWith('image/')) {
-                reject(new Error('Invalid file type. Please select an image file.'));
-                return;
-            }
+    async handleFileUpload(file) {
+        // Browsers often give TIFFs no MIME type, so go by the name too
+        if (!file || !(file.type.startsWith('image/') || /\.tiff?$/i.test(file.name))) {
+            throw new Error('Invalid file type. Please select an image file.');
+        }
+
+        let decoded;
+        try {
+            decoded = await ImageDecoder.decode(await file.arrayBuffer());
+        } catch (error) {
+            throw new Error('This TIFF or PNG uses a layout the reader can\'t open. Try saving it as an uncompressed, LZW or Deflate TIFF.');
+        }
 
+        return decoded || this.loadImageFile(file);
+    },
+
+    /**
+     * Load an image the browser can show, through a canvas, as ImageData
+     */
+    loadImageFile(file) {
+        return new Promise((resolve, reject) => {
             const reader = new FileReader();
 
             reader.onload = (e) => {
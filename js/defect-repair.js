@@ -0,0 +1,301 @@
+/**
+ * Dust and scratch detection and repair for Optical Soundtrack Reader
+ */
+
+const DefectRepair = {
+    // Rows either side used as the "clean" reference for each pixel;
+    // must exceed the tallest speck so the median skips over it
+    medianRadius: 13,
+
+    // How far (0-255, after contrast stretch) a pixel must stray to be suspect
+    dustContrast: 90,
+    scratchContrast: 40,
+
+    // Largest blob still counted as dust
+    maxDustRows: 12,
+    maxDustArea: 150,
+
+    /**
+     * Find dust specks and scratches in a contrast-stretched ROI
+     * Returns defect rectangles in ROI pixels plus what repair() needs.
+     */
+    detect(data, width, height) {
+        const level = ImageProcessor.otsuThreshold(data);
+        const scratches = this.findScratches(data, width, height);
+
+        // The ends of a scratch look like specks too, so leave them to the scratch
+        const dust = this.findDust(data, width, height, level).filter(blob =>
+            !scratches.some(scratch => this.overlaps(blob.bounds, scratch.bounds, 2))
+        );
+
+        return {
+            dust,
+            scratches,
+            defects: [
+                ...dust.map(blob => ({ type: 'dust', ...blob.bounds })),
+                ...scratches.map(scratch => ({ type: 'scratch', ...scratch.bounds }))
+            ]
+        };
+    },
+
+    /**
+     * Find small blobs that differ from the same column in nearby rows
+     * Track edges drift slowly from row to row, so the vertical median
+     * follows them while a speck a few rows tall stands out. A speck also
+     * has film of the other tone all round it; a moving edge does not.
+     */
+    findDust(data, width, height, level) {
+        const suspect = new Int8Array(width * height);
+        const radius = this.medianRadius;
+        const contrast = this.dustContrast;
+
+        for (let y = 0; y < height; y++) {
+            const first = Math.max(0, y - radius);
+            const last = Math.min(height - 1, y + radius);
+            const count = last - first;
+
+            for (let x = 0; x < width; x++) {
+                const value = data[y * width + x];
+                let darker = 0;
+                let lighter = 0;
+
+                // Equivalent to comparing against the median, without sorting
+                for (let j = first; j <= last; j++) {
+                    const other = data[j * width + x];
+                    if (other < value - contrast) darker++;
+                    else if (other > value + contrast) lighter++;
+                }
+
+                if (darker * 2 > count) {
+                    suspect[y * width + x] = 1;
+                } else if (lighter * 2 > count) {
+                    suspect[y * width + x] = -1;
+                }
+            }
+        }
+
+        const blobs = [];
+        const visited = new Uint8Array(width * height);
+
+        for (let i = 0; i < suspect.length; i++) {
+            if (!suspect[i] || visited[i]) continue;
+
+            const blob = this.floodFill(suspect, visited, width, height, i);
+            const { y, height: rows } = blob.bounds;
+            if (rows > this.maxDustRows || blob.pixels.length > this.maxDustArea) continue;
+
+            // A blob cut off by the ROI has no film on one side to repair from
+            if (y === 0 || y + rows === height) continue;
+
+            // Opaque dust sits on clear film, and a pinhole on opaque film
+            const surroundIsLight = blob.sign < 0;
+            if (this.surroundAgreement(data, width, height, blob.bounds, level, surroundIsLight) >= 0.8) {
+                blobs.push(blob);
+            }
+        }
+
+        return blobs;
+    },
+
+    /**
+     * Collect the 8-connected pixels of one sign starting at index start
+     */
+    floodFill(suspect, visited, width, height, start) {
+        const sign = suspect[start];
+        const pixels = [];
+        const stack = [start];
+        let minX = width, minY = height, maxX = 0, maxY = 0;
+        visited[start] = 1;
+
+        while (stack.length > 0) {
+            const idx = stack.pop();
+            const x = idx % width;
+            const y = Math.floor(idx / width);
+            pixels.push(idx);
+            minX = Math.min(minX, x);
+            maxX = Math.max(maxX, x);
+            minY = Math.min(minY, y);
+            maxY = Math.max(maxY, y);
+
+            for (let dy = -1; dy <= 1; dy++) {
+                for (let dx = -1; dx <= 1; dx++) {
+                    const nx = x + dx;
+                    const ny = y + dy;
+                    if (nx < 0 || ny < 0 || nx >= width || ny >= height) continue;
+
+                    const next = ny * width + nx;
+                    if (!visited[next] && suspect[next] === sign) {
+                        visited[next] = 1;
+                        stack.push(next);
+                    }
+                }
+            }
+        }
+
+        return {
+            sign,
+            pixels,
+            bounds: { x: minX, y: minY, width: maxX - minX + 1, height: maxY - minY + 1 }
+        };
+    },
+
+    /**
+     * Whether two rectangles overlap, after growing the second by margin
+     */
+    overlaps(a, b, margin) {
+        return a.x < b.x + b.width + margin && b.x - margin < a.x + a.width &&
+            a.y < b.y + b.height + margin && b.y - margin < a.y + a.height;
+    },
+
+    /**
+     * Fraction of the ring around a rectangle that is light (or dark)
+     */
+    surroundAgreement(data, width, height, bounds, level, light) {
+        const x0 = bounds.x - 2;
+        const y0 = bounds.y - 2;
+        const x1 = bounds.x + bounds.width + 1;
+        const y1 = bounds.y + bounds.height + 1;
+        let agree = 0;
+        let total = 0;
+
+        for (let y = y0; y <= y1; y++) {
+            for (let x = x0; x <= x1; x++) {
+                const onRing = x === x0 || x === x1 || y === y0 || y === y1;
+                if (!onRing || x < 0 || y < 0 || x >= width || y >= height) continue;
+
+                total++;
+                if ((data[y * width + x] > level) === light) agree++;
+            }
+        }
+
+        return total > 0 ? agree / total : 0;
+    },
+
+    /**
+     * Find thin lines running along the track
+     * A line pixel is brighter (or darker) than the film on both sides of
+     * it, which a plain track edge never is. A scratch usually shows on only
+     * one tone of film, so it disappears where the track edge crosses it;
+     * lines are followed row by row across such gaps, allowing a pixel of
+     * drift, and kept when long and straight.
+     */
+    findScratches(data, width, height) {
+        const offset = 2;
+        const line = new Uint8Array(width * height);
+
+        for (let y = 0; y < height; y++) {
+            for (let x = offset; x < width - offset; x++) {
+                const value = data[y * width + x];
+                const left = value - data[y * width + x - offset];
+                const right = value - data[y * width + x + offset];
+
+                if ((left > this.scratchContrast && right > this.scratchContrast) ||
+                    (left < -this.scratchContrast && right < -this.scratchContrast)) {
+                    line[y * width + x] = 1;
+                }
+            }
+        }
+
+        const minLength = Math.max(20, Math.round(height * 0.25));
+        const maxGap = Math.max(3, Math.round(height * 0.1));
+        const used = new Uint8Array(width * height);
+        const scratches = [];
+
+        for (let x = offset; x < width - offset; x++) {
+            for (let y = 0; y < height; y++) {
+                if (!line[y * width + x] || used[y * width + x]) continue;
+
+                const path = this.tracePath(line, used, width, height, x, y, maxGap);
+                if (path.length < minLength) continue;
+
+                const xs = path.map(point => point.x);
+                const minX = Math.min(...xs);
+                const drift = Math.max(...xs) - minX;
+                if (drift > Math.max(2, path.length * 0.05)) continue;
+
+                const last = path[path.length - 1].y;
+                scratches.push({
+                    path,
+                    bounds: { x: minX, y: path[0].y, width: drift + 1, height: last - path[0].y + 1 }
+                });
+            }
+        }
+
+        return scratches;
+    },
+
+    /**
+     * Follow a line downwards, returning the rows where it was seen
+     */
+    tracePath(line, used, width, height, startX, startY, maxGap) {
+        const path = [];
+        let x = startX;
+        let gap = 0;
+
+        for (let y = startY; y < height && gap <= maxGap; y++) {
+            let found = -1;
+            for (const dx of [0, -1, 1]) {
+                const nx = x + dx;
+                if (nx >= 0 && nx < width && line[y * width + nx]) {
+                    found = nx;
+                    break;
+                }
+            }
+
+            if (found === -1) {
+                gap++;
+                continue;
+            }
+
+            gap = 0;
+            x = found;
+            used[y * width + x] = 1;
+            path.push({ x, y });
+        }
+
+        return path;
+    },
+
+    /**
+     * Repair detected defects, returning a new array
+     * Dust is filled from the same columns in the rows just above and
+     * below. A scratch runs along the track, so its neighbouring rows are
+     * scratched too; it is filled from the columns either side instead.
+     */
+    repair(data, width, height, detection) {
+        const result = Float32Array.from(data);
+
+        for (const blob of detection.dust) {
+            const { x, y, width: w, height: h } = blob.bounds;
+            const above = y - 1;
+            const below = y + h;
+
+            for (let col = x; col < x + w; col++) {
+                const top = above >= 0 ? result[above * width + col] : result[Math.min(below, height - 1) * width + col];
+                const bottom = below < height ? result[below * width + col] : top;
+
+                for (let row = y; row < y + h; row++) {
+                    result[row * width + col] = Utils.lerp(top, bottom, (row - above) / (below - above));
+                }
+            }
+        }
+
+        for (const scratch of detection.scratches) {
+            for (const { x, y } of scratch.path) {
+                const left = Math.max(0, x - 2);
+                const right = Math.min(width - 1, x + 2);
+                const leftValue = result[y * width + left];
+                const rightValue = result[y * width + right];
+
+                for (let col = left + 1; col < right; col++) {
+                    result[y * width + col] = Utils.lerp(leftValue, rightValue, (col - left) / (right - left));
+                }
+            }
+        }
+
+        return result;
+    }
+};
+
+// Make DefectRepair available globally, on the page and in the extraction worker
+self.DefectRepair = DefectRepair;
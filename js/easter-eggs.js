@@ -311,7 +311,8 @@ const EasterEggs = {
         this.showToast('Cinema Hall Mix applied!', 3000);
 
         try {
-            const reverbBuffer = await AudioEngine.applyReverb(AudioEngine.currentBuffer);
+            const equalised = await AudioEngine.renderEQ(AudioEngine.currentBuffer);
+            const reverbBuffer = await AudioEngine.applyReverb(equalised);
             const blob = AudioEngine.encodeWAV(reverbBuffer);
             AudioEngine.downloadWAV(blob, 'cinema_hall_mix.wav');
         } catch (e) {
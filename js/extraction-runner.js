@@ -0,0 +1,153 @@
+/**
+ * Runs waveform extraction in a Web Worker for Optical Soundtrack Reader
+ * Falls back to the main thread where workers are unavailable.
+ */
+
+const ExtractionRunner = {
+    workerUrl: './js/extraction-worker.js',
+    worker: null,
+
+    // Set once the worker has failed to start, so later runs skip it
+    workerFailed: false,
+
+    // The job in flight: { id, resolve, reject, onProgress, message }
+    pending: null,
+    nextId: 1,
+
+    /**
+     * Extract a waveform and, optionally, perforation timing
+     * Pass the film's perforations per frame for timing, or null to skip it.
+     * Resolves to { channels, diagnostics, profiles, timing }; rejects with CANCELLED
+     * if cancel() is called first. Extraction errors keep their diagnostics
+     * across the worker boundary. onProgress(stage) reports each stage.
+     */
+    run(imageData, bounds, options, perfsPerFrame, onProgress = () => {}) {
+        this.cancel();
+
+        return new Promise((resolve, reject) => {
+            const id = this.nextId++;
+            const message = { id, imageData, bounds, options, perfsPerFrame };
+            this.pending = { id, resolve, reject, onProgress, message };
+
+            const worker = this.getWorker();
+            if (worker) {
+                worker.postMessage(message);
+            } else {
+                this.runOnMainThread(this.pending);
+            }
+        });
+    },
+
+    /**
+     * Stop the job in flight
+     * The worker is terminated mid-stage and started afresh next time.
+     */
+    cancel() {
+        if (!this.pending) return;
+
+        const { reject } = this.pending;
+        this.pending = null;
+
+        if (this.worker) {
+            this.worker.terminate();
+            this.worker = null;
+        }
+
+        reject(new Error('CANCELLED'));
+    },
+
+    /**
+     * Start the worker if needed, or return null when it can't run
+     */
+    getWorker() {
+        if (this.worker) return this.worker;
+        if (this.workerFailed || typeof Worker === 'undefined') return null;
+
+        try {
+            this.worker = new Worker(this.workerUrl);
+        } catch (error) {
+            console.warn('Extraction worker unavailable:', error);
+            this.workerFailed = true;
+            return null;
+        }
+
+        this.worker.addEventListener('message', (e) => this.handleMessage(e.data));
+        this.worker.addEventListener('error', (e) => this.handleWorkerError(e));
+
+        return this.worker;
+    },
+
+    /**
+     * Route worker messages to the pending job
+     */
+    handleMessage(data) {
+        const job = this.pending;
+        if (!job || data.id !== job.id) return;
+
+        if (data.type === 'progress') {
+            job.onProgress(data.stage);
+            return;
+        }
+
+        this.pending = null;
+        if (data.type === 'done') {
+            job.resolve({
+                channels: data.channels,
+                diagnostics: data.diagnostics,
+                profiles: data.profiles,
+                timing: data.timing
+            });
+        } else {
+            job.reject(ImageProcessor.extractionError(data.message, data.diagnostics));
+        }
+    },
+
+    /**
+     * A script that fails to load (e.g. when opened from file://) surfaces
+     * here; give up on the worker and finish the job on the main thread
+     */
+    handleWorkerError(event) {
+        event.preventDefault();
+        console.warn('Extraction worker failed:', event.message);
+
+        this.worker.terminate();
+        this.worker = null;
+        this.workerFailed = true;
+
+        if (this.pending) {
+            this.runOnMainThread(this.pending);
+        }
+    },
+
+    /**
+     * Run the job here, after yielding so the loading overlay can paint
+     */
+    runOnMainThread(job) {
+        setTimeout(() => {
+            if (this.pending !== job) return;
+
+            const { imageData, bounds, options, perfsPerFrame } = job.message;
+            try {
+                const { channels, diagnostics, profiles } = ImageProcessor.extractWaveform(imageData, bounds, {
+                    ...options,
+                    onProgress: job.onProgress
+                });
+
+                let timing = null;
+                if (perfsPerFrame) {
+                    job.onProgress('perforations');
+                    timing = PerforationDetector.detect(imageData, bounds, perfsPerFrame);
+                }
+
+                this.pending = null;
+                job.resolve({ channels, diagnostics, profiles, timing });
+            } catch (error) {
+                this.pending = null;
+                job.reject(error);
+            }
+        }, 50);
+    }
+};
+
+// Make ExtractionRunner available globally
+window.ExtractionRunner = ExtractionRunner;
@@ -0,0 +1,37 @@
+/**
+ * Web Worker that runs waveform extraction off the main thread
+ *
+ * Messages in:  { id, imageData, bounds, options, perfsPerFrame }
+ * Messages out: { id, type: 'progress', stage }
+ *               { id, type: 'done', channels, diagnostics, profiles, timing }
+ *               { id, type: 'error', message, diagnostics }
+ */
+
+importScripts('utils.js', 'image-processor.js', 'defect-repair.js', 'perforation-detector.js');
+
+self.onmessage = (event) => {
+    const { id, imageData, bounds, options, perfsPerFrame } = event.data;
+    const onProgress = (stage) => self.postMessage({ id, type: 'progress', stage });
+
+    try {
+        const { channels, diagnostics, profiles } = ImageProcessor.extractWaveform(imageData, bounds, { ...options, onProgress });
+
+        // Time the ROI against the sprocket holes while the image is here
+        let timing = null;
+        if (perfsPerFrame) {
+            onProgress('perforations');
+            timing = PerforationDetector.detect(imageData, bounds, perfsPerFrame);
+        }
+
+        self.postMessage({
+            id,
+            type: 'done',
+            channels,
+            diagnostics,
+            profiles,
+            timing
+        }, [...channels, ...profiles].map(values => values.buffer));
+    } catch (error) {
+        self.postMessage({ id, type: 'error', message: error.message, diagnostics: error.diagnostics || null });
+    }
+};
@@ -0,0 +1,114 @@
+/**
+ * Film gauge and frame-rate presets for Optical Soundtrack Reader
+ */
+
+const FilmFormats = {
+    storageKey: 'opticalReader.filmFormat',
+
+    // Track positions are fractions of the film width, measured from the
+    // nearer edge of the film as found in the image (not the image's own
+    // edges), since a print may be captured either way round.
+    // trackEdge 'plain' puts the track along the unperforated edge, which
+    // fixes its side whichever way the film was wound or scanned.
+    // trackSide is the side of the picture the track runs down when the
+    // image reads correctly head-up; 16mm prints come wound either way, so
+    // no side is assumed for them.
+    // perfsPerFrame sets the frame pitch that perforation timing expects.
+    // perfPitch (the perforation spacing) and slitWidth (a sound head's
+    // scanning slit, typical values) are in millimetres along the film.
+    presets: {
+        '35mm-4perf-24': {
+            label: '35mm 4-perf, 24 fps',
+            gauge: '35mm',
+            perfsPerFrame: 4,
+            perfPitch: 4.75,
+            slitWidth: 0.025,
+            fps: 24,
+            trackCentre: 0.176,
+            trackSide: 'left'
+        },
+        '35mm-4perf-25': {
+            label: '35mm 4-perf, 25 fps',
+            gauge: '35mm',
+            perfsPerFrame: 4,
+            perfPitch: 4.75,
+            slitWidth: 0.025,
+            fps: 25,
+            trackCentre: 0.176,
+            trackSide: 'left'
+        },
+        '35mm-3perf-24': {
+            label: '35mm 3-perf, 24 fps',
+            gauge: '35mm',
+            perfsPerFrame: 3,
+            perfPitch: 4.75,
+            slitWidth: 0.025,
+            fps: 24,
+            trackCentre: 0.176,
+            trackSide: 'left'
+        },
+        // Sound prints are single-perf, with the track along the plain edge
+        '16mm-24': {
+            label: '16mm, 24 fps',
+            gauge: '16mm',
+            perfsPerFrame: 1,
+            perfPitch: 7.62,
+            slitWidth: 0.013,
+            fps: 24,
+            trackCentre: 0.09,
+            trackEdge: 'plain'
+        },
+        '16mm-25': {
+            label: '16mm, 25 fps',
+            gauge: '16mm',
+            perfsPerFrame: 1,
+            perfPitch: 7.62,
+            slitWidth: 0.013,
+            fps: 25,
+            trackCentre: 0.09,
+            trackEdge: 'plain'
+        }
+    },
+
+    current: '35mm-4perf-24',
+
+    /**
+     * Restore the last chosen preset from local storage
+     */
+    load() {
+        try {
+            const saved = localStorage.getItem(this.storageKey);
+            if (saved && this.presets[saved]) {
+                this.current = saved;
+            }
+        } catch (e) {
+            console.warn('Failed to load film format:', e);
+        }
+        return this.current;
+    },
+
+    /**
+     * Choose a preset and remember it
+     */
+    select(key) {
+        if (!this.presets[key]) return false;
+
+        this.current = key;
+        try {
+            localStorage.setItem(this.storageKey, key);
+        } catch (e) {
+            console.warn('Failed to save film format:', e);
+        }
+        return true;
+    },
+
+    /**
+     * Get the chosen preset
+     */
+    getFormat() {
+        return this.presets[this.current];
+    }
+};
+
+// Make FilmFormats available globally
+window.FilmFormats = FilmFormats;
@@ -0,0 +1,131 @@
+/**
+ * Flat-field calibration for Optical Soundtrack Reader
+ */
+
+const FlatField = {
+    storageKey: 'opticalReader.flatField',
+
+    // Longest side of the stored reference; lighting varies slowly
+    referenceSize: 128,
+
+    // { width, height, data } with per-channel RGB gains, brightest = 1
+    reference: null,
+
+    /**
+     * Load a saved reference from local storage
+     */
+    load() {
+        try {
+            const saved = localStorage.getItem(this.storageKey);
+            if (!saved) return false;
+
+            const { width, height, data } = JSON.parse(saved);
+            const bytes = Uint8Array.from(atob(data), c => c.charCodeAt(0));
+            const gains = new Float32Array(bytes.length);
+            for (let i = 0; i < bytes.length; i++) {
+                gains[i] = Math.max(1, bytes[i]) / 255;
+            }
+
+            this.reference = { width, height, data: gains };
+            return true;
+        } catch (e) {
+            console.warn('Failed to load flat-field reference:', e);
+            this.reference = null;
+            return false;
+        }
+    },
+
+    /**
+     * Build a reference from a capture of blank film or clear leader
+     */
+    setReference(imageData) {
+        const scale = Math.min(1, this.referenceSize / Math.max(imageData.width, imageData.height));
+        const width = Math.max(1, Math.round(imageData.width * scale));
+        const height = Math.max(1, Math.round(imageData.height * scale));
+        const data = new Float32Array(width * height * 3);
+
+        // Average each block of source pixels so grain and dust wash out
+        for (let c = 0; c < 3; c++) {
+            const channel = new Float32Array(width * height);
+
+            for (let y = 0; y < height; y++) {
+                const sy0 = Math.floor(y / scale);
+                const sy1 = Math.max(sy0 + 1, Math.floor((y + 1) / scale));
+
+                for (let x = 0; x < width; x++) {
+                    const sx0 = Math.floor(x / scale);
+                    const sx1 = Math.max(sx0 + 1, Math.floor((x + 1) / scale));
+                    let sum = 0;
+                    let count = 0;
+
+                    for (let sy = sy0; sy < Math.min(sy1, imageData.height); sy++) {
+                        for (let sx = sx0; sx < Math.min(sx1, imageData.width); sx++) {
+                            sum += imageData.data[(sy * imageData.width + sx) * 4 + c];
+                            count++;
+                        }
+                    }
+                    channel[y * width + x] = count > 0 ? sum / count : 0;
+                }
+            }
+
+            const smoothed = ImageProcessor.boxBlur(channel, width, height, 2);
+
+            let max = 0;
+            for (let i = 0; i < smoothed.length; i++) {
+                if (smoothed[i] > max) max = smoothed[i];
+            }
+
+            for (let i = 0; i < smoothed.length; i++) {
+                data[i * 3 + c] = max > 0 ? Math.max(smoothed[i] / max, 1 / 255) : 1;
+            }
+        }
+
+        this.reference = { width, height, data };
+        this.save();
+        return this.reference;
+    },
+
+    /**
+     * Save the reference to local storage, so one calibration serves a rig
+     */
+    save() {
+        if (!this.reference) return;
+
+        const bytes = new Uint8Array(this.reference.data.length);
+        for (let i = 0; i < bytes.length; i++) {
+            bytes[i] = Math.round(this.reference.data[i] * 255);
+        }
+
+        let binary = '';
+        for (let i = 0; i < bytes.length; i++) {
+            binary += String.fromCharCode(bytes[i]);
+        }
+
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify({
+                width: this.reference.width,
+                height: this.reference.height,
+                data: btoa(binary)
+            }));
+        } catch (e) {
+            console.warn('Failed to save flat-field reference:', e);
+        }
+    },
+
+    /**
+     * Check if a reference is available
+     */
+    hasReference() {
+        return this.reference !== null;
+    },
+
+    /**
+     * Get the current reference
+     */
+    getReference() {
+        return this.reference;
+    }
+};
+
+// Make FlatField available globally
+window.FlatField = FlatField;
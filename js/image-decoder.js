@@ -0,0 +1,451 @@
+/**
+ * High-bit-depth image import for Optical Soundtrack Reader
+ *
+ * Film scanners write 16-bit TIFF and PNG files, which <img> and a 2D
+ * canvas would clamp to 8 bits. These are decoded here into
+ * { width, height, data, maxValue, bitDepth }, data being RGBA samples in a
+ * Uint16Array with maxValue as full scale. ImageProcessor reads that in
+ * place of ImageData; toImageData() makes an 8-bit copy for display.
+ */
+
+const ImageDecoder = {
+    // TIFF tag numbers
+    tags: {
+        width: 256,
+        height: 257,
+        bitsPerSample: 258,
+        compression: 259,
+        photometric: 262,
+        stripOffsets: 273,
+        samplesPerPixel: 277,
+        rowsPerStrip: 278,
+        stripByteCounts: 279,
+        planarConfiguration: 284,
+        predictor: 317,
+        tileWidth: 322,
+        sampleFormat: 339
+    },
+
+    pngSignature: [137, 80, 78, 71, 13, 10, 26, 10],
+
+    /**
+     * Decode a file this module handles, or return null to leave it to the browser
+     * TIFFs at any depth are decoded (browsers can't show them), PNGs only
+     * at 16 bits. Throws UNSUPPORTED_IMAGE for TIFF or PNG variants not covered.
+     */
+    async decode(buffer) {
+        const bytes = new Uint8Array(buffer);
+
+        if (this.isTIFF(bytes)) {
+            return this.decodeTIFF(bytes);
+        }
+        if (this.isPNG(bytes) && bytes[24] === 16) {
+            return this.decodePNG(bytes);
+        }
+        return null;
+    },
+
+    /**
+     * Check for a little-endian ("II*") or big-endian ("MM*") TIFF header
+     */
+    isTIFF(bytes) {
+        return bytes.length > 8 && (
+            (bytes[0] === 0x49 && bytes[1] === 0x49 && bytes[2] === 42 && bytes[3] === 0) ||
+            (bytes[0] === 0x4d && bytes[1] === 0x4d && bytes[2] === 0 && bytes[3] === 42)
+        );
+    },
+
+    /**
+     * Check for the PNG signature
+     */
+    isPNG(bytes) {
+        return bytes.length > 24 && this.pngSignature.every((value, i) => bytes[i] === value);
+    },
+
+    /**
+     * Decode the first image of a TIFF
+     * Strips only, chunky samples, 8 or 16-bit unsigned grey or RGB, with
+     * no compression, LZW or Deflate, and optionally the horizontal predictor.
+     */
+    async decodeTIFF(bytes) {
+        const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        const little = bytes[0] === 0x49;
+        const ifd = this.readIFD(view, view.getUint32(4, little), little);
+        const tag = (id, fallback) => (ifd.has(id) ? ifd.get(id) : [fallback]);
+
+        const width = tag(this.tags.width)[0];
+        const height = tag(this.tags.height)[0];
+        const bits = tag(this.tags.bitsPerSample, 1)[0];
+        const samples = tag(this.tags.samplesPerPixel, 1)[0];
+        const compression = tag(this.tags.compression, 1)[0];
+        const photometric = tag(this.tags.photometric, 1)[0];
+        const predictor = tag(this.tags.predictor, 1)[0];
+
+        if (!width || !height || ifd.has(this.tags.tileWidth) ||
+            tag(this.tags.planarConfiguration, 1)[0] !== 1 ||
+            tag(this.tags.sampleFormat, 1)[0] !== 1 ||
+            (bits !== 8 && bits !== 16) ||
+            ![0, 1, 2].includes(photometric) ||
+            (photometric === 2 && samples < 3)) {
+            throw new Error('UNSUPPORTED_IMAGE');
+        }
+
+        const rowBytes = width * samples * bits / 8;
+        const rowsPerStrip = Math.min(tag(this.tags.rowsPerStrip, height)[0], height);
+        const offsets = tag(this.tags.stripOffsets);
+        const counts = tag(this.tags.stripByteCounts);
+        const raw = new Uint8Array(rowBytes * height);
+
+        for (let strip = 0; strip < offsets.length; strip++) {
+            const start = strip * rowsPerStrip * rowBytes;
+            if (start >= raw.length) break;
+
+            const expected = Math.min(rowsPerStrip * rowBytes, raw.length - start);
+            const input = bytes.subarray(offsets[strip], offsets[strip] + counts[strip]);
+            const data = await this.decompressStrip(input, compression, expected);
+            raw.set(data.subarray(0, expected), start);
+        }
+
+        // Samples as numbers in file byte order
+        const values = bits === 16 ? new Uint16Array(width * height * samples) : raw;
+        if (bits === 16) {
+            const rawView = new DataView(raw.buffer);
+            for (let i = 0; i < values.length; i++) {
+                values[i] = rawView.getUint16(i * 2, little);
+            }
+        }
+
+        if (predictor === 2) {
+            this.undoPredictor(values, width, height, samples);
+        } else if (predictor !== 1) {
+            throw new Error('UNSUPPORTED_IMAGE');
+        }
+
+        const maxValue = (1 << bits) - 1;
+        return this.toRGBA(values, width, height, samples, maxValue, {
+            grey: photometric !== 2,
+            inverted: photometric === 0,
+            bitDepth: bits
+        });
+    },
+
+    /**
+     * Read an image file directory into a Map of tag -> array of values
+     */
+    readIFD(view, offset, little) {
+        // Byte size of each TIFF field type we read
+        const typeSizes = { 1: 1, 3: 2, 4: 4 };
+        const entries = new Map();
+        const count = view.getUint16(offset, little);
+
+        for (let i = 0; i < count; i++) {
+            const entry = offset + 2 + i * 12;
+            const id = view.getUint16(entry, little);
+            const type = view.getUint16(entry + 2, little);
+            const length = view.getUint32(entry + 4, little);
+            const size = typeSizes[type];
+            if (!size) continue;
+
+            // Values that fit in four bytes are stored in the entry itself
+            const start = size * length <= 4 ? entry + 8 : view.getUint32(entry + 8, little);
+            const values = [];
+            for (let j = 0; j < length; j++) {
+                const at = start + j * size;
+                values.push(size === 1 ? view.getUint8(at) : size === 2 ? view.getUint16(at, little) : view.getUint32(at, little));
+            }
+            entries.set(id, values);
+        }
+
+        return entries;
+    },
+
+    /**
+     * Expand one strip according to the TIFF compression scheme
+     */
+    async decompressStrip(input, compression, expected) {
+        switch (compression) {
+            case 1:
+                return input;
+            case 5:
+                return this.lzwDecode(input, expected);
+            case 8:
+            case 32946:
+                return this.inflate(input);
+            default:
+                throw new Error('UNSUPPORTED_IMAGE');
+        }
+    },
+
+    /**
+     * Decode TIFF-flavoured LZW: codes most significant bit first, widening
+     * from 9 to 12 bits one code early, with 256 to clear and 257 to end
+     */
+    lzwDecode(input, expected) {
+        const output = new Uint8Array(expected);
+        const prefix = new Int16Array(4096);
+        const suffix = new Uint8Array(4096);
+        const first = new Uint8Array(4096);
+        const lengths = new Uint16Array(4096);
+        for (let i = 0; i < 256; i++) {
+            suffix[i] = i;
+            first[i] = i;
+            lengths[i] = 1;
+        }
+
+        let out = 0;
+        let bitPos = 0;
+        let codeWidth = 9;
+        let next = 258;
+        let previous = -1;
+        const totalBits = input.length * 8;
+
+        // Copy a dictionary entry to the output, back to front
+        const write = (code) => {
+            const length = lengths[code];
+            let at = out + length - 1;
+            for (let c = code; at >= out; c = prefix[c], at--) {
+                if (at < expected) output[at] = suffix[c];
+            }
+            out += length;
+        };
+
+        while (bitPos + codeWidth <= totalBits && out < expected) {
+            let code = 0;
+            for (let i = 0; i < codeWidth; i++, bitPos++) {
+                code = (code << 1) | ((input[bitPos >> 3] >> (7 - (bitPos & 7))) & 1);
+            }
+
+            if (code === 257) break;
+            if (code === 256) {
+                codeWidth = 9;
+                next = 258;
+                previous = -1;
+                continue;
+            }
+
+            if (previous === -1) {
+                write(code);
+            } else {
+                // A code not yet in the table is the previous string plus its own first byte
+                const known = code < next;
+                if (next < 4096) {
+                    prefix[next] = previous;
+                    suffix[next] = known ? first[code] : first[previous];
+                    first[next] = first[previous];
+                    lengths[next] = lengths[previous] + 1;
+                    next++;
+                }
+                write(code);
+            }
+            previous = code;
+
+            if (next === (1 << codeWidth) - 1 && codeWidth < 12) {
+                codeWidth++;
+            }
+        }
+
+        return output;
+    },
+
+    /**
+     * Inflate a zlib stream with the browser's decompressor
+     */
+    async inflate(input) {
+        const stream = new Blob([input]).stream().pipeThrough(new DecompressionStream('deflate'));
+        return new Uint8Array(await new Response(stream).arrayBuffer());
+    },
+
+    /**
+     * Undo horizontal differencing: each sample was stored as the change
+     * from the same sample of the pixel to its left
+     */
+    undoPredictor(values, width, height, samples) {
+        const mask = values instanceof Uint16Array ? 0xffff : 0xff;
+        const rowLength = width * samples;
+
+        for (let y = 0; y < height; y++) {
+            const row = y * rowLength;
+            for (let i = samples; i < rowLength; i++) {
+                values[row + i] = (values[row + i] + values[row + i - samples]) & mask;
+            }
+        }
+    },
+
+    /**
+     * Decode a non-interlaced 16-bit PNG (grey or RGB, with or without alpha)
+     */
+    async decodePNG(bytes) {
+        const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        const chunks = [];
+        let header = null;
+
+        for (let offset = 8; offset + 8 <= bytes.length;) {
+            const length = view.getUint32(offset);
+            const type = String.fromCharCode(...bytes.subarray(offset + 4, offset + 8));
+            const data = bytes.subarray(offset + 8, offset + 8 + length);
+
+            if (type === 'IHDR') {
+                header = {
+                    width: view.getUint32(offset + 8),
+                    height: view.getUint32(offset + 12),
+                    colourType: data[9],
+                    interlace: data[12]
+                };
+            } else if (type === 'IDAT') {
+                chunks.push(data);
+            } else if (type === 'IEND') {
+                break;
+            }
+
+            offset += length + 12;
+        }
+
+        // Samples per pixel for grey, RGB, grey + alpha and RGBA
+        const channelCounts = { 0: 1, 2: 3, 4: 2, 6: 4 };
+        if (!header || header.interlace !== 0 || !channelCounts[header.colourType]) {
+            throw new Error('UNSUPPORTED_IMAGE');
+        }
+
+        const { width, height, colourType } = header;
+        const channels = channelCounts[colourType];
+        const pixelBytes = channels * 2;
+        const rowBytes = width * pixelBytes;
+
+        const compressed = new Uint8Array(chunks.reduce((sum, chunk) => sum + chunk.length, 0));
+        let at = 0;
+        for (const chunk of chunks) {
+            compressed.set(chunk, at);
+            at += chunk.length;
+        }
+
+        const filtered = await this.inflate(compressed);
+        const raw = this.unfilterPNG(filtered, rowBytes, height, pixelBytes);
+
+        const values = new Uint16Array(width * height * channels);
+        for (let i = 0; i < values.length; i++) {
+            values[i] = (raw[i * 2] << 8) | raw[i * 2 + 1];
+        }
+
+        return this.toRGBA(values, width, height, channels, 65535, {
+            grey: colourType === 0 || colourType === 4,
+            inverted: false,
+            bitDepth: 16
+        });
+    },
+
+    /**
+     * Reverse PNG's per-row filters (none, sub, up, average, Paeth)
+     */
+    unfilterPNG(filtered, rowBytes, height, pixelBytes) {
+        const raw = new Uint8Array(rowBytes * height);
+
+        for (let y = 0; y < height; y++) {
+            const filter = filtered[y * (rowBytes + 1)];
+            const source = y * (rowBytes + 1) + 1;
+            const row = y * rowBytes;
+            const above = row - rowBytes;
+
+            for (let i = 0; i < rowBytes; i++) {
+                const left = i >= pixelBytes ? raw[row + i - pixelBytes] : 0;
+                const up = y > 0 ? raw[above + i] : 0;
+                const upLeft = y > 0 && i >= pixelBytes ? raw[above + i - pixelBytes] : 0;
+                let predicted = 0;
+
+                switch (filter) {
+                    case 1: predicted = left; break;
+                    case 2: predicted = up; break;
+                    case 3: predicted = (left + up) >> 1; break;
+                    case 4: {
+                        const estimate = left + up - upLeft;
+                        const toLeft = Math.abs(estimate - left);
+                        const toUp = Math.abs(estimate - up);
+                        const toUpLeft = Math.abs(estimate - upLeft);
+                        predicted = toLeft <= toUp && toLeft <= toUpLeft ? left : toUp <= toUpLeft ? up : upLeft;
+                        break;
+                    }
+                }
+
+                raw[row + i] = (filtered[source + i] + predicted) & 0xff;
+            }
+        }
+
+        return raw;
+    },
+
+    /**
+     * Spread decoded samples into opaque RGBA
+     * Grey images are copied to all three channels; any alpha is dropped,
+     * since film is read by transmitted light.
+     */
+    toRGBA(values, width, height, samples, maxValue, { grey, inverted, bitDepth }) {
+        const data = new Uint16Array(width * height * 4);
+
+        for (let i = 0; i < width * height; i++) {
+            const src = i * samples;
+            for (let c = 0; c < 3; c++) {
+                const value = values[grey ? src : src + c];
+                data[i * 4 + c] = inverted ? maxValue - value : value;
+            }
+            data[i * 4 + 3] = maxValue;
+        }
+
+        return { width, height, data, maxValue, bitDepth };
+    },
+
+    /**
+     * Shrink a high-bit image so its longest side is at most maxDimension,
+     * averaging each block of pixels so no precision is lost to the canvas
+     */
+    scaleIfNeeded(image, maxDimension = 2000) {
+        const { width, height, data } = image;
+        if (width <= maxDimension && height <= maxDimension) {
+            return image;
+        }
+
+        const scale = maxDimension / Math.max(width, height);
+        const newWidth = Math.floor(width * scale);
+        const newHeight = Math.floor(height * scale);
+        const scaled = new Uint16Array(newWidth * newHeight * 4);
+
+        for (let y = 0; y < newHeight; y++) {
+            const sy0 = Math.floor(y / scale);
+            const sy1 = Math.min(height, Math.max(sy0 + 1, Math.floor((y + 1) / scale)));
+
+            for (let x = 0; x < newWidth; x++) {
+                const sx0 = Math.floor(x / scale);
+                const sx1 = Math.min(width, Math.max(sx0 + 1, Math.floor((x + 1) / scale)));
+                const count = (sy1 - sy0) * (sx1 - sx0);
+
+                for (let c = 0; c < 4; c++) {
+                    let sum = 0;
+                    for (let sy = sy0; sy < sy1; sy++) {
+                        for (let sx = sx0; sx < sx1; sx++) {
+                            sum += data[(sy * width + sx) * 4 + c];
+                        }
+                    }
+                    scaled[(y * newWidth + x) * 4 + c] = Math.round(sum / count);
+                }
+            }
+        }
+
+        return { ...image, width: newWidth, height: newHeight, data: scaled };
+    },
+
+    /**
+     * 8-bit copy of a high-bit image for drawing on a canvas
+     */
+    toImageData(image) {
+        const { width, height, data, maxValue } = image;
+        const bytes = new Uint8ClampedArray(data.length);
+        const scale = 255 / maxValue;
+
+        for (let i = 0; i < data.length; i++) {
+            bytes[i] = data[i] * scale;
+        }
+
+        return new ImageData(bytes, width, height);
+    }
+};
+
+// Make ImageDecoder available globally
+window.ImageDecoder = ImageDecoder;
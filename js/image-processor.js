@@ -3,60 +3,585 @@
  */
 
 const ImageProcessor = {
+    // Settings for every stage of extractWaveform; any can be overridden per call
+    defaults: {
+        trackType: 'auto',          // 'auto', 'variable-area' or 'variable-density'
+        stereo: false,              // split the ROI into two side-by-side tracks
+        channelMix: 'auto',         // a key of channelMixes, or 'auto'
+        flatField: null,            // FlatField reference, if calibrated
+        deskew: true,
+        minSkewAngle: 0.05,         // degrees; smaller tilts are left alone
+        repairDefects: true,        // on by default, as is the UI toggle
+        filmGamma: 1,               // density tracks only
+        polarity: 'auto',           // 'auto', 'positive', 'reversal' or 'negative'
+        denoiseFilter: 'box',       // 'box', 'gaussian', 'median' or 'none'
+        blurRadius: 3,
+        gaussianSigma: 1.5,
+        medianRadius: 2,
+        thresholdMethod: 'global',  // 'global', 'windowed' or 'sauvola'
+        sauvolaK: 0.2,
+        smoothingWindow: 5,         // samples in the final moving average
+        minStdDev: 0.01,            // less variation than this is a blank track
+        minConfidence: 0.3,         // rows scoring lower are interpolated
+        onProgress: () => {}        // called with each stage name as it starts
+    },
+
+    // Channel weights (R, G, B) for each film stock
+    // Cyan dye absorbs red and magenta dye absorbs green, so each of those
+    // stocks reads best in that one channel; silver is neutral, so all
+    // three channels are averaged for the least noise.
+    channelMixes: {
+        'silver': { label: 'RGB average', weights: [1 / 3, 1 / 3, 1 / 3] },
+        'high-magenta': { label: 'green', weights: [0, 1, 0] },
+        'cyan-dye': { label: 'red', weights: [1, 0, 0] },
+        'blue': { label: 'blue', weights: [0, 0, 1] },
+        'luma': { label: 'luma', weights: [0.299, 0.587, 0.114] }
+    },
+
     /**
      * Main extraction function - extract waveform from image
+     * Options are listed in `defaults`. Returns { channels, diagnostics,
+     * profiles }: one waveform per channel ([mono], or [left, right] in
+     * stereo), what each stage found, for display and tuning, and the
+     * track image's column profiles, for matching overlapping frames.
+     * Errors carry what was found before they stopped as `diagnostics`.
      */
-    extractWaveform(imageData, roiBounds) {
+    extractWaveform(imageData, roiBounds, options = {}) {
+        const settings = { ...this.defaults, ...options };
+        const { onProgress } = settings;
+
         // Validate ROI bounds
         if (roiBounds.width < 20 || roiBounds.height < 20) {
-            throw new Error('ROI_TOO_SMALL');
+            throw this.extractionError('ROI_TOO_SMALL', {
+                roi: { width: roiBounds.width, height: roiBounds.height },
+                minSize: 20
+            });
         }
 
-        // Crop to ROI
-        const roiData = this.cropToROI(imageData, roiBounds);
+        onProgress('prepare');
+        let { grayscale, skewAngle, channels } = this.prepareROI(imageData, roiBounds, settings);
+        const { width, height } = this.trackSize(roiBounds);
+
+        // Count pixels the camera clipped, before anything rescales them
+        const clipping = this.countClipping(grayscale);
+
+        // Keep the image's own detail, grain and dust included, to match frames by
+        const profiles = this.columnProfiles(grayscale, width, height);
 
-        // Convert to grayscale
-        const grayscale = this.toGrayscale(roiData);
+        // Patch dust and scratches before they can be read as track edges
+        let defects = [];
+        if (settings.repairDefects) {
+            onProgress('defects');
+            const detection = DefectRepair.detect(this.stretchContrast(grayscale), width, height);
+            grayscale = DefectRepair.repair(grayscale, width, height, detection);
+            defects = detection.defects;
+        }
+
+        // Work out which kind of track is under the ROI
+        const resolvedType = settings.trackType === 'auto'
+            ? this.detectTrackType(grayscale, width, height)
+            : settings.trackType;
+
+        // Decide once whether the track is clear on dark or dark on clear,
+        // so no row can flip halfway through a frame
+        const polarity = this.resolvePolarity(imageData, roiBounds, grayscale, resolvedType, settings.polarity);
+
+        // Stereo prints carry two tracks side by side; read each on its own
+        let septum = null;
+        let tracks = [{ data: grayscale, width }];
+        if (settings.stereo) {
+            septum = this.findSeptum(grayscale, width, height);
+            tracks = [
+                { data: this.sliceColumns(grayscale, width, height, 0, septum), width: septum },
+                { data: this.sliceColumns(grayscale, width, height, septum, width), width: width - septum }
+            ];
+        }
+
+        const results = tracks.map(track =>
+            this.readTrack(track.data, track.width, height, resolvedType, { ...settings, polarity: polarity.value })
+        );
+        const rawChannels = results.map(result => result.waveform);
+
+        // Report the lane layout seen on most rows, to confirm the track format
+        const laneCounts = results.filter(result => result.laneCounts).map(result => result.laneCounts);
+        const failedRows = [...new Set(results.flatMap(result => result.failedRows))].sort((a, b) => a - b);
+
+        const diagnostics = {
+            trackType: resolvedType,
+            orientation: roiBounds.orientation || 'vertical',
+            direction: roiBounds.direction || 'head-up',
+            sourceBits: imageData.bitDepth || 8,
+            polarity,
+            lanes: laneCounts.length > 0 ? this.mostCommon(laneCounts.flatMap(counts => Array.from(counts))) : null,
+            skewAngle,
+            defects,
+            colour: { preset: settings.channelMix, label: channels.label },
+            septum,
+            tracks: results.map(({ threshold, histogram, confidence, failedRows: rows }) =>
+                ({ threshold, histogram, confidence, failedRows: rows })),
+            confidence: this.combineConfidence(results.map(result => result.confidence)),
+            failedRows,
+            clipping,
+            spread: Math.max(...rawChannels.map(raw => this.standardDeviation(raw))),
+            minSpread: settings.minStdDev,
+            effectiveBits: null,
+            quality: 0
+        };
+
+        // Check if we got meaningful data
+        onProgress('finish');
+        if (diagnostics.spread < settings.minStdDev) {
+            throw this.extractionError('NO_VARIATION', diagnostics);
+        }
+
+        diagnostics.effectiveBits = Math.min(...rawChannels.map(raw => this.effectiveBitDepth(raw)));
+        diagnostics.quality = this.qualityScore(diagnostics, height);
+
+        // Scale every channel alike, so the balance between them survives
+        const range = Math.max(...rawChannels.map(raw => this.valueRange(raw)));
+
+        const output = rawChannels.map(raw => {
+            // Normalize to [-1, 1] range
+            const normalized = this.normalizeWaveform(raw, range);
+
+            // Remove DC offset
+            const dcRemoved = this.removeDCOffset(normalized);
+
+            // Apply smoothing
+            return new Float32Array(this.movingAverage(dcRemoved, settings.smoothingWindow));
+        });
+
+        return { channels: output, diagnostics, profiles };
+    },
+
+    /**
+     * An error code carrying the diagnostics gathered before it was raised
+     */
+    extractionError(code, diagnostics) {
+        const error = new Error(code);
+        error.diagnostics = diagnostics;
+        return error;
+    },
+
+    /**
+     * Read one track's raw waveform from its grayscale pixels
+     * Returns { waveform, laneCounts, confidence, failedRows, threshold,
+     * histogram }; density tracks have no lanes, confidence or threshold.
+     */
+    readTrack(grayscale, width, height, trackType, settings) {
+        const { onProgress } = settings;
+        const negative = settings.polarity === 'negative';
+
+        if (trackType === 'variable-density') {
+            // Density tracks carry the signal in the transmission level,
+            // so read the calibrated grayscale before any contrast stretching
+            onProgress('density');
+            return {
+                waveform: this.readDensity(grayscale, width, height, settings.filmGamma, negative),
+                laneCounts: null,
+                confidence: null,
+                failedRows: [],
+                threshold: null,
+                histogram: this.histogram(grayscale)
+            };
+        }
 
         // Apply contrast stretching
         const enhanced = this.stretchContrast(grayscale);
 
-        // Optional: apply light blur to reduce noise
-        const smoothed = this.boxBlur(enhanced, roiBounds.width, roiBounds.height, 3);
+        // Smooth out film grain with the chosen filter
+        onProgress('blur');
+        const smoothed = this.denoise(enhanced, width, height, settings);
+
+        // Calculate threshold: one Otsu level, or a map that follows uneven lighting
+        onProgress('threshold');
+        const threshold = this.computeThreshold(smoothed, width, height, settings.thresholdMethod, settings.sauvolaK);
+
+        // Extract waveform by finding light/dark boundaries for each row
+        onProgress('edges');
+        const { waveform, laneCounts, confidence, failedRows } =
+            this.findBoundaries(smoothed, width, height, threshold, !negative, settings.minConfidence);
+
+        return {
+            waveform,
+            laneCounts,
+            confidence,
+            failedRows,
+            threshold: this.summarizeThreshold(threshold),
+            histogram: this.histogram(smoothed)
+        };
+    },
 
-        // Calculate threshold using Otsu's method
-        const threshold = this.otsuThreshold(smoothed);
+    /**
+     * Decide the print's polarity for the whole ROI
+     * setting is 'auto' or a film kind. Returns { value, auto, confidence,
+     * rebate }, value being 'positive', 'reversal' or 'negative' and
+     * rebate the tone between the perforations (null if not measured).
+     */
+    resolvePolarity(imageData, roiBounds, grayscale, trackType, setting) {
+        if (setting !== 'auto') {
+            return { value: setting, auto: false, confidence: null, rebate: null };
+        }
 
-        // Extract waveform by finding light/dark boundary for each row
-        const rawWaveform = this.findBoundaries(smoothed, roiBounds.width, roiBounds.height, threshold);
+        // Lanes tell a variable-area negative from a positive; density
+        // tracks have only the tone around them to go by
+        const { width, height } = this.trackSize(roiBounds);
+        const found = this.detectPolarity(grayscale, width, height, trackType !== 'variable-density');
+        if (found.value === 'negative') {
+            return { ...found, auto: true, rebate: null };
+        }
 
-        // Check if we got meaningful data
-        const stdDev = this.standardDeviation(rawWaveform);
-        if (stdDev < 0.01) {
-            throw new Error('NO_VARIATION');
+        // A clear track on dark film is a print or reversal stock. The
+        // rebate between the perforations is never exposed, so it develops
+        // clear on print stock and black on reversal stock.
+        const rebate = this.rebateTone(imageData, roiBounds);
+        if (rebate === null) {
+            return { ...found, auto: true, rebate };
+        }
+
+        const { clear, dense } = this.toneLevels(grayscale);
+        const split = clear > dense ? Math.min(1, Math.abs(2 * rebate - clear - dense) / (clear - dense)) : 0;
+        return {
+            value: rebate - dense < clear - rebate ? 'reversal' : 'positive',
+            auto: true,
+            confidence: Math.min(found.confidence === null ? 1 : found.confidence, split),
+            rebate
+        };
+    },
+
+    /**
+     * Tell a print (clear track on opaque film) from a negative (exposed
+     * track on clear film)
+     * Read the right way, the track's lanes sit inside the ROI with the
+     * surround on both sides; read the wrong way, the "lanes" are the
+     * surround and run into the ROI's edges. If that can't decide it, or
+     * there are no lanes to judge, the surround's tone does: dark beside a
+     * print, light beside a negative.
+     */
+    detectPolarity(grayscale, width, height, useLanes = true) {
+        const enhanced = this.boxBlur(this.stretchContrast(grayscale), width, height, 1);
+        const threshold = this.otsuThreshold(enhanced);
+        const rowStep = Math.max(1, Math.floor(height / 200));
+
+        // Share of rows whose lanes all end inside the ROI
+        const score = (light) => {
+            let inside = 0;
+            let rows = 0;
+            for (let y = 0; y < height; y += rowStep) {
+                const lanes = this.findLanes(enhanced, y * width, width, threshold, light);
+                if (lanes.count > 0 && lanes.edges === lanes.count * 2) inside++;
+                rows++;
+            }
+            return inside / rows;
+        };
+
+        if (useLanes) {
+            const positive = score(true);
+            const negative = score(false);
+            if (Math.abs(positive - negative) >= 0.1) {
+                return {
+                    value: positive > negative ? 'positive' : 'negative',
+                    confidence: Math.abs(positive - negative)
+                };
+            }
+        }
+
+        let sum = 0;
+        for (let y = 0; y < height; y++) {
+            sum += enhanced[y * width] + enhanced[y * width + width - 1];
+        }
+        const surround = sum / (height * 2);
+        return {
+            value: surround < threshold ? 'positive' : 'negative',
+            confidence: Math.min(1, Math.abs(surround - threshold) / 128) * 0.5
+        };
+    },
+
+    /**
+     * Tone of the film's rebate beside the ROI, measured between the
+     * perforations, or null if no perforations are found
+     */
+    rebateTone(imageData, roiBounds) {
+        const perforations = PerforationDetector.detect(imageData, roiBounds, 1);
+        return perforations
+            ? PerforationDetector.landTone(imageData, perforations, roiBounds.orientation)
+            : null;
+    },
+
+    /**
+     * The track's clear and dense levels: the 95th and 5th percentiles
+     */
+    toneLevels(grayscale) {
+        const bins = this.histogram(grayscale);
+        const level = (fraction) => {
+            let seen = 0;
+            for (let i = 0; i < 256; i++) {
+                seen += bins[i];
+                if (seen >= grayscale.length * fraction) return i + 0.5;
+            }
+            return 255;
+        };
+
+        return { clear: level(0.95), dense: level(0.05) };
+    },
+
+    /**
+     * Per-row confidence across tracks: each row is only as sure as its
+     * weakest track. Null for density tracks, which have no edges to judge.
+     */
+    combineConfidence(maps) {
+        if (maps.some(map => !map)) return null;
+
+        const combined = Float32Array.from(maps[0]);
+        for (const map of maps.slice(1)) {
+            for (let i = 0; i < combined.length; i++) {
+                combined[i] = Math.min(combined[i], map[i]);
+            }
+        }
+        return combined;
+    },
+
+    /**
+     * Describe a threshold: the level itself, or the spread of a per-pixel map
+     */
+    summarizeThreshold(threshold) {
+        if (typeof threshold === 'number') {
+            return threshold;
+        }
+
+        let min = Infinity;
+        let max = -Infinity;
+        let sum = 0;
+        for (let i = 0; i < threshold.length; i++) {
+            if (threshold[i] < min) min = threshold[i];
+            if (threshold[i] > max) max = threshold[i];
+            sum += threshold[i];
+        }
+        return { min, max, mean: sum / threshold.length };
+    },
+
+    /**
+     * 256-bin histogram of 0-255 values
+     */
+    histogram(data) {
+        const bins = new Uint32Array(256);
+        for (let i = 0; i < data.length; i++) {
+            bins[Math.min(255, Math.max(0, Math.floor(data[i])))]++;
+        }
+        return bins;
+    },
+
+    /**
+     * Count pixels at the very bottom or top of the camera's range
+     */
+    countClipping(grayscale) {
+        let dark = 0;
+        let light = 0;
+        for (let i = 0; i < grayscale.length; i++) {
+            if (grayscale[i] <= 0.5) dark++;
+            else if (grayscale[i] >= 254.5) light++;
         }
+        return { dark, light, fraction: (dark + light) / grayscale.length };
+    },
 
-        // Normalize to [-1, 1] range
-        const normalized = this.normalizeWaveform(rawWaveform);
+    /**
+     * Overall confidence in an extraction (0-1)
+     * The mean row confidence (or, without one, the share of rows read),
+     * scaled down when the resolution falls below 8 bits. Density tracks
+     * read the levels themselves, so clipping counts against them too; on
+     * area tracks it only flattens the clear lanes.
+     */
+    qualityScore(diagnostics, height) {
+        const rowScore = diagnostics.confidence
+            ? diagnostics.confidence.reduce((sum, value) => sum + value, 0) / height
+            : 1 - diagnostics.failedRows.length / height;
+        const bitScore = Math.min(1, diagnostics.effectiveBits / 8);
+        const clipScore = diagnostics.trackType === 'variable-density'
+            ? 1 - Math.min(1, diagnostics.clipping.fraction * 2)
+            : 1;
+
+        return Utils.clamp(rowScore * bitScore * clipScore, 0, 1);
+    },
 
-        // Remove DC offset
-        const dcRemoved = this.removeDCOffset(normalized);
+    /**
+     * Find the column dividing the two tracks of a stereo print
+     * The septum between them stays one tone down the whole ROI, so look
+     * near the middle for the run of columns that changes least.
+     */
+    findSeptum(grayscale, width, height) {
+        const enhanced = this.stretchContrast(grayscale);
+        const threshold = this.otsuThreshold(enhanced);
+
+        // How far each column is from being all light or all dark
+        const activity = new Float32Array(width);
+        for (let x = 0; x < width; x++) {
+            let light = 0;
+            for (let y = 0; y < height; y++) {
+                if (enhanced[y * width + x] > threshold) light++;
+            }
+            activity[x] = Math.min(light, height - light) / height;
+        }
+
+        const from = Math.floor(width * 0.3);
+        const to = Math.ceil(width * 0.7);
+        let quietest = from;
+        for (let x = from; x < to; x++) {
+            if (activity[x] < activity[quietest]) quietest = x;
+        }
+
+        // Split at the middle of the steady run around the quietest column
+        const tolerance = activity[quietest] + 0.1;
+        let left = quietest;
+        let right = quietest;
+        while (left > from && activity[left - 1] <= tolerance) left--;
+        while (right < to - 1 && activity[right + 1] <= tolerance) right++;
 
-        // Apply smoothing
-        const finalWaveform = this.movingAverage(dcRemoved, 5);
+        return Math.round((left + right + 1) / 2);
+    },
+
+    /**
+     * Average a single-channel image into `count` bands of columns, giving
+     * one profile down the track per band
+     */
+    columnProfiles(data, width, height, count = 16) {
+        const bands = Math.min(count, width);
+
+        return Array.from({ length: bands }, (_, band) => {
+            const x0 = Math.floor(band * width / bands);
+            const x1 = Math.floor((band + 1) * width / bands);
+            const profile = new Float32Array(height);
+
+            for (let y = 0; y < height; y++) {
+                let sum = 0;
+                for (let x = x0; x < x1; x++) {
+                    sum += data[y * width + x];
+                }
+                profile[y] = sum / (x1 - x0);
+            }
+
+            return profile;
+        });
+    },
+
+    /**
+     * Copy columns [x0, x1) of a single-channel image
+     */
+    sliceColumns(data, width, height, x0, x1) {
+        const sliceWidth = x1 - x0;
+        const slice = new Float32Array(sliceWidth * height);
+
+        for (let y = 0; y < height; y++) {
+            slice.set(data.subarray(y * width + x0, y * width + x1), y * sliceWidth);
+        }
 
-        return new Float32Array(finalWaveform);
+        return slice;
     },
 
     /**
-     * Crop image data to ROI
+     * Crop, flat-field and deskew the ROI, returning its grayscale pixels
      */
-    cropToROI(imageData, bounds) {
-        const { x, y, width, height } = bounds;
+    prepareROI(imageData, roiBounds, options = {}) {
+        const { deskew, flatField, channelMix, minSkewAngle } = { ...this.defaults, ...options };
+
+        // Crop to ROI, dividing out uneven backlighting if calibrated
+        let roiData = this.cropToROI(imageData, roiBounds, 0, Boolean(flatField));
+        if (flatField) {
+            this.applyFlatField(roiData, imageData, roiBounds, 0, flatField);
+        }
+
+        // Convert to grayscale through the channels that best show this film stock
+        const channels = this.chooseChannelMix(roiData, channelMix);
+        let grayscale = this.toGrayscale(roiData, channels.weights);
+
+        // Measure the track's tilt, and resample along the track axis if needed
+        const { width, height } = this.trackSize(roiBounds);
+        const skewAngle = this.estimateSkew(grayscale, width, height);
+        let cropAngle = 0;
+        if (deskew && Math.abs(skewAngle) >= minSkewAngle) {
+            cropAngle = skewAngle;
+            roiData = this.cropToROI(imageData, roiBounds, cropAngle, Boolean(flatField));
+            if (flatField) {
+                this.applyFlatField(roiData, imageData, roiBounds, cropAngle, flatField);
+            }
+            grayscale = this.toGrayscale(roiData, channels.weights);
+        }
+
+        // skewAngle is what was measured, cropAngle what the crop followed
+        return { grayscale, skewAngle, cropAngle, channels };
+    },
+
+    /**
+     * Find dust and scratches under the ROI, as outlines in image coordinates
+     */
+    findDefects(imageData, roiBounds, options = {}) {
+        if (roiBounds.width < 20 || roiBounds.height < 20) {
+            throw new Error('ROI_TOO_SMALL');
+        }
+
+        const { grayscale, cropAngle } = this.prepareROI(imageData, roiBounds, options);
+        const { width, height } = this.trackSize(roiBounds);
+        const detection = DefectRepair.detect(this.stretchContrast(grayscale), width, height);
+        const toImage = this.roiMapper(roiBounds, cropAngle);
+
+        return detection.defects.map(defect => ({
+            type: defect.type,
+            corners: [
+                toImage(defect.x, defect.y),
+                toImage(defect.x + defect.width, defect.y),
+                toImage(defect.x + defect.width, defect.y + defect.height),
+                toImage(defect.x, defect.y + defect.height)
+            ]
+        }));
+    },
+
+    /**
+     * Size of an ROI in track terms: width across the track, height along it
+     * A horizontal track is read with its columns as rows.
+     */
+    trackSize(bounds) {
+        return bounds.orientation === 'horizontal'
+            ? { width: bounds.height, height: bounds.width }
+            : { width: bounds.width, height: bounds.height };
+    },
+
+    /**
+     * Factor taking an image's samples to the 0-255 scale the pipeline uses
+     * High-bit images (see ImageDecoder) carry their full scale as maxValue.
+     */
+    pixelScale(imageData) {
+        return 255 / (imageData.maxValue || 255);
+    },
+
+    /**
+     * Crop image data to ROI, turned so rows run along the track in time order
+     * A non-zero angle (degrees) samples along a track tilted by that much.
+     * High-bit images, or any when `float` is set, crop to fractional 0-255
+     * values that later stages may push out of range without clipping.
+     */
+    cropToROI(imageData, bounds, angle = 0, float = false) {
+        const { x, y } = bounds;
+        const { width, height } = this.trackSize(bounds);
         const srcData = imageData.data;
         const srcWidth = imageData.width;
 
-        const croppedData = new Uint8ClampedArray(width * height * 4);
+        const highBit = Boolean(imageData.maxValue);
+        const croppedData = highBit || float
+            ? new Float32Array(width * height * 4)
+            : new Uint8ClampedArray(width * height * 4);
+        const upright = (bounds.orientation || 'vertical') === 'vertical' && bounds.direction !== 'tail-up';
+
+        if (angle !== 0 || !upright) {
+            const toImage = this.roiMapper(bounds, angle);
+
+            for (let row = 0; row < height; row++) {
+                for (let col = 0; col < width; col++) {
+                    const point = toImage(col, row);
+                    this.sampleBilinear(imageData, point.x, point.y, croppedData, (row * width + col) * 4);
+                }
+            }
+
+            return highBit ? this.rescale(croppedData, this.pixelScale(imageData)) : croppedData;
+        }
 
         for (let row = 0; row < height; row++) {
             for (let col = 0; col < width; col++) {
@@ -70,27 +595,392 @@ const ImageProcessor = {
             }
         }
 
-        return croppedData;
+        return highBit ? this.rescale(croppedData, this.pixelScale(imageData)) : croppedData;
+    },
+
+    /**
+     * Multiply every value in place
+     */
+    rescale(data, factor) {
+        for (let i = 0; i < data.length; i++) {
+            data[i] *= factor;
+        }
+        return data;
+    },
+
+    /**
+     * Build a function mapping ROI pixel (col, row) to image coordinates,
+     * with the ROI rotated about its centre so rows run across a tilted track
+     * The ROI's orientation and direction then turn it onto the image: a
+     * horizontal track has its head at the left, a tail-up one is upside down.
+     */
+    roiMapper(bounds, angle = 0) {
+        const radians = angle * Math.PI / 180;
+        const cos = Math.cos(radians);
+        const sin = Math.sin(radians);
+        const centreX = bounds.x + bounds.width / 2;
+        const centreY = bounds.y + bounds.height / 2;
+        const { width, height } = this.trackSize(bounds);
+
+        // Image directions of the across and along axes
+        const turn = bounds.direction === 'tail-up' ? -1 : 1;
+        const [acrossX, acrossY, alongX, alongY] = bounds.orientation === 'horizontal'
+            ? [0, -turn, turn, 0]
+            : [turn, 0, 0, turn];
+
+        return (col, row) => {
+            const u = col + 0.5 - width / 2;  // across the track
+            const v = row + 0.5 - height / 2; // along the track
+            const across = u * cos + v * sin;
+            const along = -u * sin + v * cos;
+            return {
+                x: centreX + across * acrossX + along * alongX - 0.5,
+                y: centreY + across * acrossY + along * alongY - 0.5
+            };
+        };
+    },
+
+    /**
+     * Swap an image's rows and columns, so a horizontal strip reads as vertical
+     * The sample type and any high-bit full scale are kept.
+     */
+    transposeImage(imageData) {
+        const { width, height, data, maxValue } = imageData;
+        const transposed = new data.constructor(data.length);
+
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                const src = (y * width + x) * 4;
+                const dest = (x * height + y) * 4;
+                transposed[dest] = data[src];
+                transposed[dest + 1] = data[src + 1];
+                transposed[dest + 2] = data[src + 2];
+                transposed[dest + 3] = data[src + 3];
+            }
+        }
+
+        return maxValue
+            ? { width: height, height: width, data: transposed, maxValue }
+            : { width: height, height: width, data: transposed };
+    },
+
+    /**
+     * Bilinearly sample an RGBA pixel, clamping to the image edges
+     */
+    sampleBilinear(imageData, x, y, dest, destIdx) {
+        const { width, height, data } = imageData;
+        const cx = Utils.clamp(x, 0, width - 1);
+        const cy = Utils.clamp(y, 0, height - 1);
+        const x0 = Math.floor(cx);
+        const y0 = Math.floor(cy);
+        const x1 = Math.min(x0 + 1, width - 1);
+        const y1 = Math.min(y0 + 1, height - 1);
+        const tx = cx - x0;
+        const ty = cy - y0;
+
+        for (let c = 0; c < 4; c++) {
+            const top = Utils.lerp(data[(y0 * width + x0) * 4 + c], data[(y0 * width + x1) * 4 + c], tx);
+            const bottom = Utils.lerp(data[(y1 * width + x0) * 4 + c], data[(y1 * width + x1) * 4 + c], tx);
+            dest[destIdx + c] = Utils.lerp(top, bottom, ty);
+        }
+    },
+
+    /**
+     * Estimate the track's tilt in degrees from its edge lines
+     * Positive angles mean the track drifts right going down the image.
+     * Uses projection profiles: at the right angle, the straight track
+     * edges stack into sharp peaks.
+     */
+    estimateSkew(grayscale, width, height, maxAngle = 10) {
+        // Collect pixels on strong vertical-ish edges
+        const edges = [];
+        let gradientSum = 0;
+
+        for (let y = 0; y < height; y++) {
+            for (let x = 1; x < width - 1; x++) {
+                const gradient = Math.abs(grayscale[y * width + x + 1] - grayscale[y * width + x - 1]);
+                gradientSum += gradient;
+                edges.push(x, y, gradient);
+            }
+        }
+
+        const minGradient = (gradientSum / (edges.length / 3)) * 2;
+        const strong = [];
+        for (let i = 0; i < edges.length; i += 3) {
+            if (edges[i + 2] > minGradient) {
+                strong.push(edges[i], edges[i + 1], edges[i + 2]);
+            }
+        }
+
+        if (strong.length === 0) {
+            return 0;
+        }
+
+        const centreY = height / 2;
+        const bins = new Float32Array(width * 3);
+
+        const sharpness = (angle) => {
+            const slope = Math.tan(angle * Math.PI / 180);
+            bins.fill(0);
+
+            // Split each edge's weight between the two nearest bins
+            for (let i = 0; i < strong.length; i += 3) {
+                const projected = strong[i] - (strong[i + 1] - centreY) * slope + width;
+                const bin = Math.floor(projected);
+                if (bin >= 0 && bin < bins.length - 1) {
+                    const t = projected - bin;
+                    bins[bin] += strong[i + 2] * (1 - t);
+                    bins[bin + 1] += strong[i + 2] * t;
+                }
+            }
+
+            let score = 0;
+            for (let i = 0; i < bins.length; i++) {
+                score += bins[i] * bins[i];
+            }
+            return score;
+        };
+
+        // Coarse search, then refine around the best coarse angle
+        let bestAngle = 0;
+        let bestScore = sharpness(0);
+
+        const search = (from, to, step) => {
+            for (let angle = from; angle <= to + 1e-9; angle += step) {
+                const score = sharpness(angle);
+                if (score > bestScore) {
+                    bestScore = score;
+                    bestAngle = angle;
+                }
+            }
+        };
+
+        search(-maxAngle, maxAngle, 0.5);
+        search(bestAngle - 0.5, bestAngle + 0.5, 0.05);
+
+        return Math.round(bestAngle * 100) / 100;
+    },
+
+    /**
+     * Divide cropped RGBA data by a flat-field reference, in place
+     * The reference covers the whole frame, so ROI pixels are located by
+     * their relative position in the source image. Pass a float crop:
+     * gains below 1 lift values past 255, so the result is scaled back
+     * into range as a whole rather than clipped.
+     */
+    applyFlatField(roiData, imageData, bounds, angle, reference) {
+        const toImage = this.roiMapper(bounds, angle);
+        const { width, height } = this.trackSize(bounds);
+        const scaleX = reference.width / imageData.width;
+        const scaleY = reference.height / imageData.height;
+        const gain = [0, 0, 0];
+        let peak = 0;
+
+        for (let row = 0; row < height; row++) {
+            for (let col = 0; col < width; col++) {
+                const point = toImage(col, row);
+                this.sampleReference(reference, (point.x + 0.5) * scaleX - 0.5, (point.y + 0.5) * scaleY - 0.5, gain);
+
+                const idx = (row * width + col) * 4;
+                roiData[idx] = roiData[idx] / gain[0];
+                roiData[idx + 1] = roiData[idx + 1] / gain[1];
+                roiData[idx + 2] = roiData[idx + 2] / gain[2];
+                peak = Math.max(peak, roiData[idx], roiData[idx + 1], roiData[idx + 2]);
+            }
+        }
+
+        if (peak > 255) {
+            for (let i = 0; i < roiData.length; i++) {
+                if (i % 4 !== 3) roiData[i] *= 255 / peak;
+            }
+        }
+
+        return roiData;
+    },
+
+    /**
+     * Bilinearly sample the RGB gains of a flat-field reference
+     */
+    sampleReference(reference, x, y, out) {
+        const { width, height, data } = reference;
+        const cx = Utils.clamp(x, 0, width - 1);
+        const cy = Utils.clamp(y, 0, height - 1);
+        const x0 = Math.floor(cx);
+        const y0 = Math.floor(cy);
+        const x1 = Math.min(x0 + 1, width - 1);
+        const y1 = Math.min(y0 + 1, height - 1);
+        const tx = cx - x0;
+        const ty = cy - y0;
+
+        for (let c = 0; c < 3; c++) {
+            const top = Utils.lerp(data[(y0 * width + x0) * 3 + c], data[(y0 * width + x1) * 3 + c], tx);
+            const bottom = Utils.lerp(data[(y1 * width + x0) * 3 + c], data[(y1 * width + x1) * 3 + c], tx);
+            out[c] = Utils.lerp(top, bottom, ty);
+        }
     },
 
     /**
      * Convert RGBA data to grayscale array
      */
-    toGrayscale(rgbaData) {
+    toGrayscale(rgbaData, weights = this.channelMixes.luma.weights) {
         const length = rgbaData.length / 4;
         const grayscale = new Float32Array(length);
+        const [wR, wG, wB] = weights;
 
         for (let i = 0; i < length; i++) {
             const idx = i * 4;
-            // Luminance formula: 0.299*R + 0.587*G + 0.114*B
-            grayscale[i] = 0.299 * rgbaData[idx] +
-                0.587 * rgbaData[idx + 1] +
-                0.114 * rgbaData[idx + 2];
+            // Weighted sum of R, G and B; luma by default (0.299, 0.587, 0.114)
+            grayscale[i] = wR * rgbaData[idx] +
+                wG * rgbaData[idx + 1] +
+                wB * rgbaData[idx + 2];
         }
 
         return grayscale;
     },
 
+    /**
+     * Pick the channel weights for a film stock preset
+     * 'auto' tries every mix and keeps the one whose pixels split most
+     * cleanly into light and dark.
+     * Returns { name, label, weights }.
+     */
+    chooseChannelMix(rgbaData, preset = 'auto') {
+        if (preset !== 'auto') {
+            return { name: preset, ...this.channelMixes[preset] };
+        }
+
+        let best = null;
+        for (const [name, mix] of Object.entries(this.channelMixes)) {
+            const separability = this.otsuSeparability(this.toGrayscale(rgbaData, mix.weights));
+            if (!best || separability > best.separability) {
+                best = { name, ...mix, separability };
+            }
+        }
+
+        const { separability, ...choice } = best;
+        return choice;
+    },
+
+    /**
+     * Share of the variance explained by the Otsu split (0-1)
+     * Noise counts against it, so a dim channel scores lower than a bright one.
+     */
+    otsuSeparability(grayscale) {
+        const histogram = new Float64Array(256);
+        for (let i = 0; i < grayscale.length; i++) {
+            histogram[Math.min(255, Math.max(0, Math.floor(grayscale[i])))]++;
+        }
+
+        const total = grayscale.length;
+        let sum = 0;
+        let sumSquares = 0;
+        for (let i = 0; i < 256; i++) {
+            sum += i * histogram[i];
+            sumSquares += i * i * histogram[i];
+        }
+
+        const mean = sum / total;
+        const variance = sumSquares / total - mean * mean;
+        if (variance <= 0) return 0;
+
+        let sumB = 0;
+        let wB = 0;
+        let best = 0;
+        for (let t = 0; t < 256; t++) {
+            wB += histogram[t];
+            if (wB === 0) continue;
+
+            const wF = total - wB;
+            if (wF === 0) break;
+
+            sumB += t * histogram[t];
+            const mB = sumB / wB;
+            const mF = (sum - sumB) / wF;
+            best = Math.max(best, wB * wF * (mB - mF) * (mB - mF));
+        }
+
+        return best / (total * total * variance);
+    },
+
+    /**
+     * Convert an 8-bit sRGB value to linear light (0-1)
+     */
+    srgbToLinear(value) {
+        const v = value / 255;
+        return v <= 0.04045 ? v / 12.92 : Math.pow((v + 0.055) / 1.055, 2.4);
+    },
+
+    /**
+     * Guess whether the ROI holds a variable-area or variable-density track
+     */
+    detectTrackType(grayscale, width, height) {
+        const { start, end } = this.centralColumns(width);
+        const span = end - start;
+        const rowMeans = new Float32Array(height);
+        let withinVariance = 0;
+
+        for (let y = 0; y < height; y++) {
+            const rowStart = y * width;
+            let sum = 0;
+            let sumSq = 0;
+
+            for (let x = start; x < end; x++) {
+                const value = grayscale[rowStart + x];
+                sum += value;
+                sumSq += value * value;
+            }
+
+            const mean = sum / span;
+            rowMeans[y] = mean;
+            withinVariance += sumSq / span - mean * mean;
+        }
+        withinVariance /= height;
+
+        const betweenVariance = this.standardDeviation(rowMeans) ** 2;
+
+        // A variable-area row is split between clear and opaque film, so most of
+        // the variance sits inside each row. A variable-density row is an even
+        // grey and the variance is between rows.
+        return withinVariance > betweenVariance ? 'variable-area' : 'variable-density';
+    },
+
+    /**
+     * Column range used for density readings, skipping the track edges
+     */
+    centralColumns(width) {
+        const margin = Math.floor(width * 0.2);
+        return { start: margin, end: width - margin };
+    },
+
+    /**
+     * Read a variable-density track as the calibrated transmission of each row
+     */
+    readDensity(grayscale, width, height, gamma, negative = false) {
+        const { start, end } = this.centralColumns(width);
+        const span = end - start;
+        const waveform = new Float32Array(height);
+
+        for (let y = 0; y < height; y++) {
+            const rowStart = y * width;
+
+            // Average in linear light, not in camera-encoded values
+            let sum = 0;
+            for (let x = start; x < end; x++) {
+                sum += this.srgbToLinear(grayscale[rowStart + x]);
+            }
+
+            const transmission = Math.max(sum / span, 1e-4);
+            const density = -Math.log10(transmission);
+
+            // The film's density is gamma times the log exposure, so undo the
+            // gamma to get back a value proportional to the recorded signal;
+            // a negative is densest where the exposure was greatest
+            waveform[y] = Math.pow(10, (negative ? density : -density) / gamma);
+        }
+
+        return waveform;
+    },
+
     /**
      * Apply contrast stretching to grayscale data
      */
@@ -116,32 +1006,129 @@ const ImageProcessor = {
         return stretched;
     },
 
+    /**
+     * Smooth the ROI before thresholding with the chosen filter
+     */
+    denoise(data, width, height, settings = this.defaults) {
+        switch (settings.denoiseFilter) {
+            case 'gaussian':
+                return this.gaussianBlur(data, width, height, settings.gaussianSigma);
+            case 'median':
+                return this.medianFilter(data, width, height, settings.medianRadius);
+            case 'none':
+                return data;
+            default:
+                return this.boxBlur(data, width, height, settings.blurRadius);
+        }
+    },
+
     /**
      * Apply box blur to reduce noise
+     * Each pixel is one lookup in a summed-area table, whatever the radius.
+     * Near the edges the average covers only the pixels inside the image.
      */
     boxBlur(data, width, height, radius) {
         const result = new Float32Array(data.length);
-        const kernelSize = radius * 2 + 1;
-        const kernelArea = kernelSize * kernelSize;
+        const table = this.integralImage(data, width, height);
 
         for (let y = 0; y < height; y++) {
+            const y0 = Math.max(0, y - radius);
+            const y1 = Math.min(height, y + radius + 1);
+
             for (let x = 0; x < width; x++) {
-                let sum = 0;
-                let count = 0;
+                const x0 = Math.max(0, x - radius);
+                const x1 = Math.min(width, x + radius + 1);
 
-                for (let ky = -radius; ky <= radius; ky++) {
-                    for (let kx = -radius; kx <= radius; kx++) {
-                        const ny = y + ky;
-                        const nx = x + kx;
+                result[y * width + x] = this.areaSum(table, width, x0, y0, x1, y1) / ((x1 - x0) * (y1 - y0));
+            }
+        }
 
-                        if (ny >= 0 && ny < height && nx >= 0 && nx < width) {
-                            sum += data[ny * width + nx];
-                            count++;
-                        }
-                    }
+        return result;
+    },
+
+    /**
+     * Approximate a Gaussian blur with three box blurs
+     * The box sizes are chosen so their combined variance matches sigma.
+     */
+    gaussianBlur(data, width, height, sigma) {
+        const passes = 3;
+        const ideal = Math.sqrt(12 * sigma * sigma / passes + 1);
+        let lower = Math.floor(ideal);
+        if (lower % 2 === 0) lower--;
+        const upper = lower + 2;
+
+        // How many passes use the smaller box
+        const smaller = Math.round(
+            (12 * sigma * sigma - passes * lower * lower - 4 * passes * lower - 3 * passes) / (-4 * lower - 4)
+        );
+
+        let result = data;
+        for (let pass = 0; pass < passes; pass++) {
+            const size = pass < smaller ? lower : upper;
+            result = this.boxBlur(result, width, height, (size - 1) / 2);
+        }
+
+        return result;
+    },
+
+    /**
+     * Median filter using a sliding histogram (Huang's algorithm)
+     * Moving one pixel along a row swaps a single column in and out of the
+     * histogram, so the cost grows with the radius rather than its square.
+     * Values are binned to 1/16 of a level (12 bits over 0-255), so high-bit
+     * scans keep their precision; a coarse histogram over groups of fine
+     * bins finds the median without walking every fine bin.
+     */
+    medianFilter(data, width, height, radius) {
+        const steps = 16;
+        const group = 64;
+        const fineBins = 255 * steps + 1;
+        const fine = new Uint32Array(fineBins);
+        const coarse = new Uint32Array(Math.ceil(fineBins / group));
+        const result = new Float32Array(data.length);
+        const bin = (value) => Math.min(fineBins - 1, Math.max(0, Math.round(value * steps)));
+
+        const updateColumn = (x, y0, y1, delta) => {
+            if (x < 0 || x >= width) return 0;
+            for (let y = y0; y < y1; y++) {
+                const index = bin(data[y * width + x]);
+                fine[index] += delta;
+                coarse[Math.floor(index / group)] += delta;
+            }
+            return delta * (y1 - y0);
+        };
+
+        for (let y = 0; y < height; y++) {
+            const y0 = Math.max(0, y - radius);
+            const y1 = Math.min(height, y + radius + 1);
+
+            fine.fill(0);
+            coarse.fill(0);
+            let count = 0;
+            for (let x = 0; x < radius; x++) {
+                count += updateColumn(x, y0, y1, 1);
+            }
+
+            for (let x = 0; x < width; x++) {
+                count += updateColumn(x + radius, y0, y1, 1);
+                count += updateColumn(x - radius - 1, y0, y1, -1);
+
+                // Walk up the coarse histogram, then the fine bins within it, to the middle value
+                const half = count / 2;
+                let seen = 0;
+                let block = 0;
+                while (block < coarse.length - 1 && seen + coarse[block] <= half) {
+                    seen += coarse[block];
+                    block++;
                 }
 
-                result[y * width + x] = sum / count;
+                let index = block * group;
+                const last = Math.min(fineBins, index + group) - 1;
+                while (index < last && seen + fine[index] <= half) {
+                    seen += fine[index];
+                    index++;
+                }
+                result[y * width + x] = index / steps;
             }
         }
 
@@ -194,72 +1181,407 @@ const ImageProcessor = {
     },
 
     /**
-     * Find light/dark boundaries for each row
+     * Compute the threshold for the chosen method
+     * Returns a single level for 'global', or a per-pixel map otherwise
+     */
+    computeThreshold(data, width, height, method, sauvolaK = 0.2) {
+        switch (method) {
+            case 'windowed':
+                return this.windowedOtsuThreshold(data, width, height);
+            case 'sauvola':
+                return this.sauvolaThreshold(data, width, height, sauvolaK);
+            default:
+                return this.otsuThreshold(data);
+        }
+    },
+
+    /**
+     * Otsu threshold over a sliding band of rows
+     * Follows lighting that changes along the track.
      */
-    findBoundaries(data, width, height, threshold) {
+    windowedOtsuThreshold(data, width, height) {
+        const bandHeight = Math.max(16, Math.round(height / 12));
+        const step = Math.max(1, Math.round(bandHeight / 2));
+        const centres = [];
+        const levels = [];
+
+        for (let centre = 0; centre < height + step; centre += step) {
+            const y = Math.min(centre, height - 1);
+            const from = Math.max(0, y - bandHeight) * width;
+            const to = Math.min(height, y + bandHeight + 1) * width;
+
+            centres.push(y);
+            levels.push(this.otsuThreshold(data.subarray(from, to)));
+            if (y === height - 1) break;
+        }
+
+        // Interpolate between band centres for a smooth per-row level
+        const map = new Float32Array(width * height);
+        let band = 0;
+
+        for (let y = 0; y < height; y++) {
+            while (band < centres.length - 2 && centres[band + 1] < y) band++;
+
+            const span = centres[band + 1] - centres[band];
+            const t = span > 0 ? Utils.clamp((y - centres[band]) / span, 0, 1) : 0;
+            map.fill(Utils.lerp(levels[band], levels[band + 1], t), y * width, (y + 1) * width);
+        }
+
+        return map;
+    },
+
+    /**
+     * Sauvola threshold from local mean and standard deviation
+     * Follows lighting gradients both along and across the track. Sauvola
+     * misreads windows that are almost all clear or all opaque film, so
+     * those pixels take the windowed Otsu level instead.
+     */
+    sauvolaThreshold(data, width, height, k = 0.2, range = 128) {
+        const radius = Math.max(8, Math.round(width / 3));
+        const fallback = this.windowedOtsuThreshold(data, width, height);
+
+        const squares = new Float32Array(data.length);
+        const above = new Float32Array(data.length);
+        for (let i = 0; i < data.length; i++) {
+            squares[i] = data[i] * data[i];
+            above[i] = data[i] > fallback[i] ? 1 : 0;
+        }
+
+        const sums = this.integralImage(data, width, height);
+        const squareSums = this.integralImage(squares, width, height);
+        const aboveSums = this.integralImage(above, width, height);
+        const map = new Float32Array(width * height);
+
+        for (let y = 0; y < height; y++) {
+            const y0 = Math.max(0, y - radius);
+            const y1 = Math.min(height, y + radius + 1);
+
+            for (let x = 0; x < width; x++) {
+                const x0 = Math.max(0, x - radius);
+                const x1 = Math.min(width, x + radius + 1);
+                const count = (x1 - x0) * (y1 - y0);
+                const idx = y * width + x;
+
+                // Only trust Sauvola where both clear and opaque film are in view
+                const clearFraction = this.areaSum(aboveSums, width, x0, y0, x1, y1) / count;
+                if (clearFraction < 0.15 || clearFraction > 0.85) {
+                    map[idx] = fallback[idx];
+                    continue;
+                }
+
+                const mean = this.areaSum(sums, width, x0, y0, x1, y1) / count;
+                const variance = this.areaSum(squareSums, width, x0, y0, x1, y1) / count - mean * mean;
+                const deviation = Math.sqrt(Math.max(0, variance));
+
+                map[idx] = mean * (1 + k * (deviation / range - 1));
+            }
+        }
+
+        return map;
+    },
+
+    /**
+     * Build a summed-area table with one row and column of zero padding
+     */
+    integralImage(data, width, height) {
+        const stride = width + 1;
+        const table = new Float64Array(stride * (height + 1));
+
+        for (let y = 0; y < height; y++) {
+            let rowSum = 0;
+            for (let x = 0; x < width; x++) {
+                rowSum += data[y * width + x];
+                table[(y + 1) * stride + x + 1] = table[y * stride + x + 1] + rowSum;
+            }
+        }
+
+        return table;
+    },
+
+    /**
+     * Sum of the rectangle [x0, x1) x [y0, y1) from a summed-area table
+     */
+    areaSum(table, width, x0, y0, x1, y1) {
+        const stride = width + 1;
+        return table[y1 * stride + x1] - table[y0 * stride + x1] -
+            table[y1 * stride + x0] + table[y0 * stride + x0];
+    },
+
+    /**
+     * Find light/dark boundaries for each row, summing every clear lane
+     * The threshold is a single level or a per-pixel map. Lanes are light
+     * on dark, or dark on light for a negative. Each row gets a confidence
+     * (0-1), and rows below minConfidence are interpolated from their
+     * neighbours; failedRows lists them.
+     */
+    findBoundaries(data, width, height, threshold, light = true, minConfidence = this.defaults.minConfidence) {
         const waveform = new Float32Array(height);
+        const laneCounts = new Uint16Array(height);
+        const sharpness = new Float32Array(height);
 
         for (let y = 0; y < height; y++) {
             const rowStart = y * width;
 
-            // Find transition points in this row
-            let leftEdge = -1;
-            let rightEdge = -1;
+            // Measure every lane in this row
+            const lanes = this.findLanes(data, rowStart, width, threshold, light);
+            laneCounts[y] = lanes.count;
 
-            // Scan from left to find first transition
-            for (let x = 0; x < width; x++) {
-                const value = data[rowStart + x];
-                const isLight = value > threshold;
+            if (lanes.count > 0) {
+                // Like an optical sound head, use the total clear width as amplitude
+                waveform[y] = lanes.totalWidth / width;
 
-                if (isLight && leftEdge === -1) {
-                    leftEdge = x;
-                }
-                if (!isLight && leftEdge !== -1 && rightEdge === -1) {
-                    rightEdge = x;
-                    break;
-                }
+                sharpness[y] = lanes.edges > 0 ? lanes.edgeStep / lanes.edges : 0;
+            }
+        }
+
+        const confidence = this.rowConfidence(waveform, laneCounts, sharpness, width);
+        const failedRows = this.interpolateRows(waveform, confidence, minConfidence);
+
+        return { waveform, laneCounts, confidence, failedRows };
+    },
+
+    /**
+     * Score how far each row's reading can be trusted (0-1)
+     * Rows with no lanes score 0. Otherwise the score drops for edges
+     * softer than the track's usual, for a lane count other than the usual,
+     * and for a value that jumps away from the rows around it.
+     */
+    rowConfidence(waveform, laneCounts, sharpness, width) {
+        const height = waveform.length;
+        const confidence = new Float32Array(height);
+        const measured = [];
+        for (let y = 0; y < height; y++) {
+            if (laneCounts[y] > 0) measured.push(y);
+        }
+        if (measured.length === 0) return confidence;
+
+        const typicalLanes = this.mostCommon(laneCounts);
+        const typicalSharpness = this.median(measured.map(y => sharpness[y]).filter(value => value > 0));
+
+        // Row-to-row movement of the signal itself, so fast passages aren't penalised
+        const steps = [];
+        for (let i = 1; i < measured.length; i++) {
+            if (measured[i] === measured[i - 1] + 1) {
+                steps.push(Math.abs(waveform[measured[i]] - waveform[measured[i - 1]]));
             }
+        }
 
-            // If no right edge found but left edge exists, use width
-            if (leftEdge !== -1 && rightEdge === -1) {
-                rightEdge = width;
+        // On a clean scan most rows don't move at all; a one-pixel change in
+        // lane width is never a jump
+        const typicalStep = Math.max(this.median(steps), 1 / width);
+
+        for (const y of measured) {
+            // Edges vary with noise; only those under half the usual step
+            // count against. A row with no edge at all is as doubtful as a
+            // blank one, unless the track never shows edges.
+            const sharp = typicalSharpness === 0
+                ? 1
+                : Math.min(1, 2 * Math.max(0, sharpness[y]) / typicalSharpness);
+            const lanes = laneCounts[y] === typicalLanes ? 1 : 0.5;
+
+            // Compare with the measured rows up to two either side
+            const neighbours = [];
+            for (let j = Math.max(0, y - 2); j <= Math.min(height - 1, y + 2); j++) {
+                if (j !== y && laneCounts[j] > 0) neighbours.push(waveform[j]);
             }
+            const deviation = neighbours.length > 0
+                ? Math.abs(waveform[y] - this.median(neighbours)) / typicalStep
+                : 0;
 
-            // If no edges found, try the opposite (dark on light)
-            if (leftEdge === -1) {
-                for (let x = 0; x < width; x++) {
-                    const value = data[rowStart + x];
-                    const isDark = value <= threshold;
+            // Full marks within 3 typical steps, none beyond 8
+            const agreement = Utils.clamp((8 - deviation) / 5, 0, 1);
 
-                    if (isDark && leftEdge === -1) {
-                        leftEdge = x;
-                    }
-                    if (!isDark && leftEdge !== -1 && rightEdge === -1) {
-                        rightEdge = x;
-                        break;
+            confidence[y] = sharp * lanes * agreement;
+        }
+
+        return confidence;
+    },
+
+    /**
+     * Replace rows below minConfidence by interpolating between the
+     * nearest trusted rows, in place. Returns the replaced rows.
+     */
+    interpolateRows(waveform, confidence, minConfidence) {
+        const height = waveform.length;
+        const failedRows = [];
+        let previous = -1;
+
+        for (let y = 0; y <= height; y++) {
+            if (y < height && confidence[y] < minConfidence) {
+                failedRows.push(y);
+                continue;
+            }
+
+            // Fill the run of untrusted rows between previous and y
+            const gapStart = previous + 1;
+            if (gapStart < y) {
+                const before = previous >= 0 ? waveform[previous] : null;
+                const after = y < height ? waveform[y] : null;
+
+                for (let row = gapStart; row < y; row++) {
+                    if (before !== null && after !== null) {
+                        waveform[row] = Utils.lerp(before, after, (row - previous) / (y - previous));
+                    } else {
+                        // At the ends hold the nearest trusted value; with none, stay flat
+                        waveform[row] = before ?? after ?? 0;
                     }
                 }
-                if (leftEdge !== -1 && rightEdge === -1) {
-                    rightEdge = width;
-                }
             }
+            previous = y;
+        }
 
-            // Calculate waveform value from boundary positions
-            if (leftEdge !== -1 && rightEdge !== -1) {
-                // Use the width of the transparent region as amplitude
-                const trackWidth = rightEdge - leftEdge;
-                waveform[y] = trackWidth / width;
-            } else {
-                // Fallback: use average brightness of the row
-                let sum = 0;
-                for (let x = 0; x < width; x++) {
-                    sum += data[rowStart + x];
+        return failedRows;
+    },
+
+    /**
+     * Find the light (or dark) runs of pixels in a row
+     * Lane edges are placed where the intensity crosses the threshold,
+     * interpolated between pixel centres for sub-pixel precision.
+     * Runs narrower than 2px are treated as grain and ignored. Also sums
+     * the intensity step across each edge inside the row, for sharpness.
+     */
+    findLanes(data, rowStart, width, threshold, light) {
+        const minLaneWidth = 2;
+        const isLane = (x) => (data[rowStart + x] > this.thresholdAt(threshold, rowStart + x)) === light;
+        let count = 0;
+        let totalWidth = 0;
+        let laneStart = -1;
+        let startEdge = 0;
+        let edges = 0;
+        let edgeStep = 0;
+        const step = (x) => Math.abs(data[rowStart + x] - data[rowStart + x - 1]);
+
+        for (let x = 0; x <= width; x++) {
+            const inLane = x < width && isLane(x);
+
+            if (inLane && laneStart === -1) {
+                laneStart = x;
+                startEdge = x === 0 ? 0 : this.edgePosition(data, rowStart, x, threshold);
+            } else if (!inLane && laneStart !== -1) {
+                if (x - laneStart >= minLaneWidth) {
+                    const endEdge = x === width ? width : this.edgePosition(data, rowStart, x, threshold);
+                    count++;
+                    totalWidth += endEdge - startEdge;
+
+                    if (laneStart > 0) {
+                        edges++;
+                        edgeStep += step(laneStart);
+                    }
+                    if (x < width) {
+                        edges++;
+                        edgeStep += step(x);
+                    }
                 }
-                waveform[y] = (sum / width) / 255;
+                laneStart = -1;
             }
         }
 
-        return waveform;
+        return { count, totalWidth, edges, edgeStep };
+    },
+
+    /**
+     * Sub-pixel position of a threshold crossing between pixels x-1 and x
+     * Pixel x covers [x, x+1), so its centre is at x + 0.5
+     */
+    edgePosition(data, rowStart, x, threshold) {
+        const before = data[rowStart + x - 1];
+        const after = data[rowStart + x];
+        const level = (this.thresholdAt(threshold, rowStart + x - 1) + this.thresholdAt(threshold, rowStart + x)) / 2;
+        const t = after === before ? 0.5 : (level - before) / (after - before);
+        return x - 0.5 + Utils.clamp(t, 0, 1);
+    },
+
+    /**
+     * Threshold level at a pixel, for either a single level or a map
+     */
+    thresholdAt(threshold, idx) {
+        return typeof threshold === 'number' ? threshold : threshold[idx];
+    },
+
+    /**
+     * Find the most frequent non-zero value in an integer array
+     */
+    mostCommon(values) {
+        const counts = new Map();
+        let best = 0;
+        let bestCount = 0;
+
+        for (let i = 0; i < values.length; i++) {
+            const value = values[i];
+            if (value === 0) continue;
+
+            const count = (counts.get(value) || 0) + 1;
+            counts.set(value, count);
+            if (count > bestCount) {
+                bestCount = count;
+                best = value;
+            }
+        }
+
+        return best;
+    },
+
+    /**
+     * Median of an array of numbers (0 when empty)
+     */
+    median(values) {
+        if (values.length === 0) return 0;
+
+        const sorted = Float64Array.from(values).sort();
+        const mid = Math.floor(sorted.length / 2);
+        return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+    },
+
+    /**
+     * Estimate the white-noise level of a signal
+     * Uses the median absolute second difference, which ignores smooth
+     * signal content and the occasional outlier.
+     */
+    estimateNoise(data) {
+        if (data.length < 3) return 0;
+
+        const diffs = new Float32Array(data.length - 2);
+        for (let i = 1; i < data.length - 1; i++) {
+            diffs[i - 1] = Math.abs(data[i - 1] - 2 * data[i] + data[i + 1]);
+        }
+        diffs.sort();
+
+        // Second differences of white noise have 6x its variance
+        const mad = diffs[Math.floor(diffs.length / 2)];
+        return mad / 0.6745 / Math.sqrt(6);
+    },
+
+    /**
+     * Effective bit depth of an extracted signal
+     * Treats the noise as quantization noise: a uniform step q has a
+     * standard deviation of q / sqrt(12).
+     */
+    effectiveBitDepth(data) {
+        let min = Infinity;
+        let max = -Infinity;
+        for (let i = 0; i < data.length; i++) {
+            if (data[i] < min) min = data[i];
+            if (data[i] > max) max = data[i];
+        }
+
+        const step = this.estimateNoise(data) * Math.sqrt(12);
+        if (max <= min) return 0;
+        if (step === 0) return 16;
+
+        return Utils.clamp(Math.log2((max - min) / step), 0, 16);
+    },
+
+    /**
+     * Difference between the largest and smallest values
+     */
+    valueRange(data) {
+        let min = Infinity;
+        let max = -Infinity;
+        for (let i = 0; i < data.length; i++) {
+            if (data[i] < min) min = data[i];
+            if (data[i] > max) max = data[i];
+        }
+        return max - min;
     },
 
     /**
@@ -277,8 +1599,9 @@ const ImageProcessor = {
 
     /**
      * Normalize waveform to [-1, 1] range
+     * Pass a wider range to scale several channels by the same amount.
      */
-    normalizeWaveform(data) {
+    normalizeWaveform(data, range = null) {
         let min = Infinity;
         let max = -Infinity;
 
@@ -287,7 +1610,7 @@ const ImageProcessor = {
             if (data[i] > max) max = data[i];
         }
 
-        const range = max - min;
+        range = range || max - min;
         if (range === 0) {
             return new Float32Array(data.length).fill(0);
         }
@@ -322,23 +1645,21 @@ const ImageProcessor = {
         const result = new Float32Array(data.length);
         const halfWindow = Math.floor(windowSize / 2);
 
+        // Running sums, so each output is a single subtraction
+        const prefix = new Float64Array(data.length + 1);
         for (let i = 0; i < data.length; i++) {
-            let sum = 0;
-            let count = 0;
-
-            for (let j = i - halfWindow; j <= i + halfWindow; j++) {
-                if (j >= 0 && j < data.length) {
-                    sum += data[j];
-                    count++;
-                }
-            }
+            prefix[i + 1] = prefix[i] + data[i];
+        }
 
-            result[i] = sum / count;
+        for (let i = 0; i < data.length; i++) {
+            const start = Math.max(0, i - halfWindow);
+            const end = Math.min(data.length, i + halfWindow + 1);
+            result[i] = (prefix[end] - prefix[start]) / (end - start);
         }
 
         return result;
     }
 };
 
-// Make ImageProcessor available globally
-window.ImageProcessor = ImageProcessor;
+// Make ImageProcessor available globally, on the page and in the extraction worker
+self.ImageProcessor = ImageProcessor;
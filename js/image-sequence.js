@@ -0,0 +1,141 @@
+/**
+ * Numbered image sequences for Optical Soundtrack Reader
+ * Holds a scanner session's frames in order, with the ROI set on the first
+ * frame and any frames whose ROI was adjusted on its own.
+ */
+
+const ImageSequence = {
+    files: [],
+
+    // ROI bounds set on the first frame, used for every frame without its own
+    shared: null,
+
+    // Frame index -> ROI bounds, for frames adjusted by hand
+    overrides: new Map(),
+
+    // Frame being shown on the process screen
+    current: 0,
+
+    // Compares names the way people count: frame_2 before frame_10
+    collator: new Intl.Collator(undefined, { numeric: true, sensitivity: 'base' }),
+
+    /**
+     * Take the image files from a selection, in natural name order
+     * Files from a folder are ordered by their path within it. Throws
+     * NO_IMAGES if none of the files is an image.
+     */
+    open(files) {
+        const images = Array.from(files).filter(file =>
+            file.type.startsWith('image/') || /\.(tiff?|png|jpe?g)$/i.test(file.name)
+        );
+        if (images.length === 0) {
+            throw new Error('NO_IMAGES');
+        }
+
+        const path = (file) => file.webkitRelativePath || file.name;
+        this.files = images.sort((a, b) => this.collator.compare(path(a), path(b)));
+        this.shared = null;
+        this.overrides = new Map();
+        this.current = 0;
+
+        return this.files.length;
+    },
+
+    /**
+     * Check whether a sequence is loaded
+     */
+    isOpen() {
+        return this.files.length > 0;
+    },
+
+    /**
+     * Number of frames in the sequence
+     */
+    getFrameCount() {
+        return this.files.length;
+    },
+
+    /**
+     * File name of a frame
+     */
+    getName(index) {
+        return this.files[index].name;
+    },
+
+    /**
+     * Load a frame's image data, at full bit depth where the file has it
+     */
+    readFrame(index) {
+        return Camera.handleFileUpload(this.files[index]);
+    },
+
+    /**
+     * Record the ROI drawn on a frame
+     * The first frame's ROI is the shared one; on any other frame, an ROI
+     * that differs from it is kept for that frame alone.
+     */
+    setBounds(index, bounds) {
+        if (index === 0) {
+            this.shared = bounds;
+        } else if (this.sameBounds(bounds, this.shared)) {
+            this.overrides.delete(index);
+        } else {
+            this.overrides.set(index, bounds);
+        }
+    },
+
+    /**
+     * ROI bounds to read a frame with
+     * Given the frame's image, bounds drawn on a larger frame are moved
+     * back inside it, and cut down where they don't fit.
+     */
+    getBounds(index, imageData = null) {
+        const bounds = this.overrides.get(index) || this.shared;
+        if (!bounds || !imageData) return bounds;
+
+        const width = Math.min(bounds.width, imageData.width);
+        const height = Math.min(bounds.height, imageData.height);
+        return {
+            ...bounds,
+            x: Utils.clamp(bounds.x, 0, imageData.width - width),
+            y: Utils.clamp(bounds.y, 0, imageData.height - height),
+            width,
+            height
+        };
+    },
+
+    /**
+     * Check whether a frame has its own ROI
+     */
+    hasOverride(index) {
+        return this.overrides.has(index);
+    },
+
+    /**
+     * Return a frame to the shared ROI
+     */
+    clearOverride(index) {
+        this.overrides.delete(index);
+    },
+
+    /**
+     * Compare two sets of ROI bounds
+     */
+    sameBounds(a, b) {
+        return Boolean(a && b) &&
+            ['x', 'y', 'width', 'height', 'orientation', 'direction'].every(key => a[key] === b[key]);
+    },
+
+    /**
+     * Forget the sequence
+     */
+    close() {
+        this.files = [];
+        this.shared = null;
+        this.overrides = new Map();
+        this.current = 0;
+    }
+};
+
+// Make ImageSequence available globally
+window.ImageSequence = ImageSequence;
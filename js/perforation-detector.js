@@ -0,0 +1,288 @@
+/**
+ * Sprocket hole detection and frame registration for Optical Soundtrack Reader
+ */
+
+const PerforationDetector = {
+    // Rows in the coarse search profile
+    searchRows: 400,
+
+    // Periodicity needed to trust a detection
+    minStrength: 0.4,
+
+    /**
+     * Find the perforation row and measure the film's pitch in pixels
+     * Columns inside excludeBounds (the soundtrack ROI) are skipped. The
+     * film runs down the image unless orientation (by default the ROI's)
+     * is 'horizontal', when holes and x are measured across the image instead.
+     * Returns { perfPitch, framePitch, perfsPerFrame, holes, x, strength }
+     * or null; holes are centres along the film, in image pixels.
+     */
+    detect(imageData, excludeBounds = null, perfsPerFrame = 4, orientation = excludeBounds && excludeBounds.orientation) {
+        // Perforations repeat along the film, so turn a horizontal strip upright first
+        if (orientation === 'horizontal') {
+            const bounds = excludeBounds && {
+                x: excludeBounds.y,
+                y: excludeBounds.x,
+                width: excludeBounds.height,
+                height: excludeBounds.width
+            };
+            return this.detect(ImageProcessor.transposeImage(imageData), bounds, perfsPerFrame, 'vertical');
+        }
+
+        const { width, height } = imageData;
+        const bandWidth = Math.max(2, Math.round(width / 150));
+        const rowStep = Math.max(1, Math.floor(height / this.searchRows));
+        const minLag = Math.max(3, Math.floor(height / rowStep / 60));
+        const maxLag = Math.floor(height / rowStep / 2);
+
+        let best = null;
+
+        for (let x = 0; x + bandWidth <= width; x += bandWidth) {
+            if (excludeBounds && x + bandWidth > excludeBounds.x &&
+                x < excludeBounds.x + excludeBounds.width) {
+                continue;
+            }
+
+            const profile = this.columnProfile(imageData, x, bandWidth, rowStep);
+            const period = this.findPeriod(profile, minLag, maxLag);
+            if (!period) continue;
+
+            // Holes are clear film, so favour strong light/dark contrast
+            const score = period.strength * this.profileContrast(profile);
+            if (!best || score > best.score) {
+                best = { x, score, ...period };
+            }
+        }
+
+        if (!best || best.strength < this.minStrength) {
+            return null;
+        }
+
+        // Measure the holes at full resolution in the chosen column band
+        const profile = this.columnProfile(imageData, best.x, bandWidth, 1);
+        const coarsePitch = best.lag * rowStep;
+        const holes = this.findHoles(profile);
+        const perfPitch = this.fitPitch(holes, coarsePitch);
+
+        return {
+            perfPitch,
+            framePitch: perfPitch * perfsPerFrame,
+            perfsPerFrame,
+            holes,
+            x: best.x + bandWidth / 2,
+            strength: best.strength
+        };
+    },
+
+    /**
+     * Mean tone, on the 0-255 scale, of the film between the holes found
+     * by detect(), sampled midway between each pair
+     * Returns null with fewer than two holes.
+     */
+    landTone(imageData, perforations, orientation = 'vertical') {
+        const { holes, x, perfPitch } = perforations;
+        if (holes.length < 2) return null;
+
+        const { width, height, data } = imageData;
+        const scale = ImageProcessor.pixelScale(imageData);
+        const horizontal = orientation === 'horizontal';
+        const half = Math.max(1, Math.round(perfPitch * 0.1));
+        const across = Math.floor(x);
+        let sum = 0;
+        let count = 0;
+
+        for (let i = 1; i < holes.length; i++) {
+            const middle = Math.floor((holes[i - 1] + holes[i]) / 2);
+
+            for (let along = middle - half; along <= middle + half; along++) {
+                const [px, py] = horizontal ? [along, across] : [across, along];
+                if (px < 0 || py < 0 || px >= width || py >= height) continue;
+
+                const idx = (py * width + px) * 4;
+                sum += (0.299 * data[idx] + 0.587 * data[idx + 1] + 0.114 * data[idx + 2]) * scale;
+                count++;
+            }
+        }
+
+        return count > 0 ? sum / count : null;
+    },
+
+    /**
+     * Film position, in perforations, of each row boundary of an ROI's
+     * track, in time order (one more than the track's rows)
+     * Between detected holes the position follows the holes themselves, so
+     * uneven film travel or lens distortion doesn't warp the timing; beyond
+     * them it carries on at the fitted pitch.
+     */
+    perfPositions(timing, bounds) {
+        const { perfPitch, holes } = timing;
+        const rows = ImageProcessor.trackSize(bounds).height;
+        const horizontal = bounds.orientation === 'horizontal';
+        const centre = horizontal ? bounds.x + bounds.width / 2 : bounds.y + bounds.height / 2;
+        const turn = bounds.direction === 'tail-up' ? -1 : 1;
+
+        // Number the holes as fitPitch() does, skipping any that were missed
+        const indices = holes.map(hole => Math.round((hole - holes[0]) / perfPitch));
+
+        return Float64Array.from({ length: rows + 1 }, (_, row) => {
+            const along = centre + turn * (row - rows / 2);
+            if (holes.length < 2) return along / perfPitch;
+
+            // Use the pair of holes around this point, or the end pair beyond them
+            let k = 0;
+            while (k < holes.length - 2 && along > holes[k + 1]) k++;
+
+            if (along < holes[k]) return indices[k] + (along - holes[k]) / perfPitch;
+            if (along > holes[k + 1]) return indices[k + 1] + (along - holes[k + 1]) / perfPitch;
+            return indices[k] + (along - holes[k]) / (holes[k + 1] - holes[k]) * (indices[k + 1] - indices[k]);
+        });
+    },
+
+    /**
+     * Mean brightness of a band of columns, sampled every rowStep rows
+     */
+    columnProfile(imageData, x0, bandWidth, rowStep) {
+        const { width, height, data } = imageData;
+        const profile = new Float32Array(Math.floor(height / rowStep));
+        const scale = ImageProcessor.pixelScale(imageData);
+
+        for (let i = 0; i < profile.length; i++) {
+            const rowStart = i * rowStep * width;
+            let sum = 0;
+
+            for (let x = x0; x < x0 + bandWidth; x++) {
+                const idx = (rowStart + x) * 4;
+                sum += 0.299 * data[idx] + 0.587 * data[idx + 1] + 0.114 * data[idx + 2];
+            }
+            profile[i] = sum * scale / bandWidth;
+        }
+
+        return profile;
+    },
+
+    /**
+     * Spread between the darkest and brightest parts of a profile (0-1)
+     */
+    profileContrast(profile) {
+        let min = Infinity;
+        let max = -Infinity;
+        for (let i = 0; i < profile.length; i++) {
+            if (profile[i] < min) min = profile[i];
+            if (profile[i] > max) max = profile[i];
+        }
+        return (max - min) / 255;
+    },
+
+    /**
+     * Find the repeat length of a profile by autocorrelation
+     * Multiples of the true period correlate almost as well, so take the
+     * shortest lag that comes close to the best peak.
+     */
+    findPeriod(profile, minLag, maxLag) {
+        const n = profile.length;
+        let mean = 0;
+        for (let i = 0; i < n; i++) mean += profile[i];
+        mean /= n;
+
+        let energy = 0;
+        for (let i = 0; i < n; i++) energy += (profile[i] - mean) ** 2;
+        if (energy === 0) return null;
+
+        const correlation = new Float32Array(maxLag + 2);
+        for (let lag = minLag - 1; lag <= Math.min(maxLag + 1, n - 1); lag++) {
+            let sum = 0;
+            for (let i = 0; i + lag < n; i++) {
+                sum += (profile[i] - mean) * (profile[i + lag] - mean);
+            }
+            // Unbiased: scale up for the shrinking overlap
+            correlation[lag] = (sum / (n - lag)) / (energy / n);
+        }
+
+        let peak = 0;
+        for (let lag = minLag; lag <= maxLag; lag++) {
+            if (correlation[lag] > peak) peak = correlation[lag];
+        }
+        if (peak <= 0) return null;
+
+        for (let lag = minLag; lag <= maxLag; lag++) {
+            const isLocalMax = correlation[lag] >= correlation[lag - 1] &&
+                correlation[lag] >= correlation[lag + 1];
+            if (isLocalMax && correlation[lag] >= peak * 0.85) {
+                return { lag, strength: Math.min(1, correlation[lag]) };
+            }
+        }
+
+        return null;
+    },
+
+    /**
+     * Locate whole holes in a profile as bright runs
+     * Returns the centre row of each hole, weighted by brightness.
+     */
+    findHoles(profile) {
+        let min = Infinity;
+        let max = -Infinity;
+        for (let i = 0; i < profile.length; i++) {
+            if (profile[i] < min) min = profile[i];
+            if (profile[i] > max) max = profile[i];
+        }
+
+        const threshold = (min + max) / 2;
+        const holes = [];
+        let start = -1;
+
+        for (let y = 0; y <= profile.length; y++) {
+            const bright = y < profile.length && profile[y] > threshold;
+
+            if (bright && start === -1) {
+                start = y;
+            } else if (!bright && start !== -1) {
+                // Skip holes cut off by the image edge
+                if (start > 0 && y < profile.length) {
+                    let weight = 0;
+                    let moment = 0;
+                    for (let i = start; i < y; i++) {
+                        const w = profile[i] - threshold;
+                        weight += w;
+                        moment += w * (i + 0.5);
+                    }
+                    holes.push(moment / weight);
+                }
+                start = -1;
+            }
+        }
+
+        return holes;
+    },
+
+    /**
+     * Fit the spacing of hole centres by least squares
+     * Holes are numbered from the coarse pitch, so a missed hole leaves a
+     * gap in the numbering instead of doubling one interval.
+     */
+    fitPitch(holes, coarsePitch) {
+        if (holes.length < 2) {
+            return coarsePitch;
+        }
+
+        const indices = holes.map(centre => Math.round((centre - holes[0]) / coarsePitch));
+        const n = holes.length;
+        let sumI = 0;
+        let sumC = 0;
+        let sumII = 0;
+        let sumIC = 0;
+
+        for (let i = 0; i < n; i++) {
+            sumI += indices[i];
+            sumC += holes[i];
+            sumII += indices[i] * indices[i];
+            sumIC += indices[i] * holes[i];
+        }
+
+        const denominator = n * sumII - sumI * sumI;
+        return denominator > 0 ? (n * sumIC - sumI * sumC) / denominator : coarsePitch;
+    }
+};
+
+// Make PerforationDetector available globally, on the page and in the extraction worker
+self.PerforationDetector = PerforationDetector;
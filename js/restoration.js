@@ -0,0 +1,315 @@
+/**
+ * Audio restoration for Optical Soundtrack Reader: hum, hiss and clicks
+ */
+
+const Restoration = {
+    sampleRate: 44100,
+
+    // STFT size for noise reduction
+    fftSize: 512,
+
+    // Mean magnitude spectrum of the noise, learned or estimated
+    noiseProfile: null,
+
+    // Harmonics of the mains frequency to notch out
+    humHarmonics: 8,
+
+    /**
+     * Run the enabled stages over the samples
+     * settings: { hum: { enabled, strength, frequency },
+     *             denoise: { enabled, strength },
+     *             declick: { enabled, strength } }
+     */
+    process(samples, settings) {
+        let result = Float32Array.from(samples);
+
+        // Clicks first, so they don't skew the hum fit or the noise estimate
+        if (settings.declick.enabled) {
+            result = this.removeClicks(result, settings.declick.strength);
+        }
+        if (settings.hum.enabled) {
+            result = this.removeHum(result, settings.hum.frequency, settings.hum.strength);
+        }
+        if (settings.denoise.enabled) {
+            result = this.reduceNoise(result, settings.denoise.strength);
+        }
+
+        return result;
+    },
+
+    /**
+     * Notch out the mains frequency and its harmonics
+     * A single frame holds only a few hum cycles, too short for IIR notches
+     * to settle, so each harmonic is fitted by least squares and subtracted.
+     * The notch this makes is about 1 / duration wide.
+     */
+    removeHum(samples, frequency, strength) {
+        const result = Float32Array.from(samples);
+        const n = samples.length;
+
+        for (let harmonic = 1; harmonic <= this.humHarmonics; harmonic++) {
+            const w = 2 * Math.PI * frequency * harmonic / this.sampleRate;
+            if (w >= Math.PI) break;
+
+            let cc = 0, ss = 0, cs = 0, xc = 0, xs = 0;
+            for (let i = 0; i < n; i++) {
+                const c = Math.cos(w * i);
+                const s = Math.sin(w * i);
+                cc += c * c;
+                ss += s * s;
+                cs += c * s;
+                xc += result[i] * c;
+                xs += result[i] * s;
+            }
+
+            const determinant = cc * ss - cs * cs;
+            if (Math.abs(determinant) < 1e-9) continue;
+
+            const a = (xc * ss - xs * cs) / determinant;
+            const b = (xs * cc - xc * cs) / determinant;
+
+            // Strength sets how much of the fitted hum is removed
+            for (let i = 0; i < n; i++) {
+                result[i] -= strength * (a * Math.cos(w * i) + b * Math.sin(w * i));
+            }
+        }
+
+        return result;
+    },
+
+    /**
+     * Learn the noise spectrum from a recording of silence (blank track)
+     */
+    learnNoiseProfile(samples) {
+        const frames = this.analyze(samples);
+        if (frames.length === 0) return false;
+
+        this.noiseProfile = this.meanMagnitude(frames);
+        return true;
+    },
+
+    /**
+     * Spectral subtraction noise reduction
+     * Without a learned profile, the quietest tenth of the frames stands in for it.
+     */
+    reduceNoise(samples, strength) {
+        const frames = this.analyze(samples);
+        if (frames.length === 0) return samples;
+
+        const profile = this.noiseProfile || this.estimateNoiseProfile(frames);
+        const overSubtraction = 1 + strength * 2;
+        const floor = 0.05;
+
+        for (const frame of frames) {
+            for (let k = 0; k < frame.re.length; k++) {
+                const magnitude = Math.hypot(frame.re[k], frame.im[k]);
+                if (magnitude === 0) continue;
+
+                const bin = Math.min(k, frame.re.length - k);
+                const gain = Math.max(floor, 1 - overSubtraction * profile[bin] / magnitude);
+                frame.re[k] *= gain;
+                frame.im[k] *= gain;
+            }
+        }
+
+        return this.synthesize(frames, samples.length);
+    },
+
+    /**
+     * Use the lowest-energy frames as the noise spectrum
+     */
+    estimateNoiseProfile(frames) {
+        const energy = (frame) => frame.re.reduce((sum, re, k) => sum + re * re + frame.im[k] * frame.im[k], 0);
+        const sorted = [...frames].sort((a, b) => energy(a) - energy(b));
+        return this.meanMagnitude(sorted.slice(0, Math.max(1, Math.floor(sorted.length / 10))));
+    },
+
+    /**
+     * Average magnitude per frequency bin, up to Nyquist
+     */
+    meanMagnitude(frames) {
+        const bins = this.fftSize / 2 + 1;
+        const profile = new Float32Array(bins);
+
+        for (const frame of frames) {
+            for (let k = 0; k < bins; k++) {
+                profile[k] += Math.hypot(frame.re[k], frame.im[k]) / frames.length;
+            }
+        }
+
+        return profile;
+    },
+
+    /**
+     * Short-time Fourier transform: Hann windows at 50% overlap
+     * The signal is padded by half a window each side so every sample is
+     * covered by two windows, which sum back to exactly one.
+     */
+    analyze(samples) {
+        const size = this.fftSize;
+        const hop = size / 2;
+        const padded = new Float32Array(samples.length + size * 2);
+        padded.set(samples, hop);
+
+        const frames = [];
+        for (let start = 0; start + size <= padded.length; start += hop) {
+            const re = new Float32Array(size);
+            const im = new Float32Array(size);
+            for (let i = 0; i < size; i++) {
+                re[i] = padded[start + i] * this.hann(i, size);
+            }
+            this.fft(re, im, false);
+            frames.push({ re, im });
+        }
+
+        return frames;
+    },
+
+    /**
+     * Inverse of analyze: overlap-add the frames back into samples
+     */
+    synthesize(frames, length) {
+        const size = this.fftSize;
+        const hop = size / 2;
+        const padded = new Float32Array(frames.length * hop + size);
+
+        frames.forEach((frame, index) => {
+            this.fft(frame.re, frame.im, true);
+            for (let i = 0; i < size; i++) {
+                padded[index * hop + i] += frame.re[i];
+            }
+        });
+
+        return padded.slice(hop, hop + length);
+    },
+
+    /**
+     * Periodic Hann window
+     */
+    hann(i, size) {
+        return 0.5 - 0.5 * Math.cos(2 * Math.PI * i / size);
+    },
+
+    /**
+     * In-place radix-2 FFT; the inverse includes the 1/N scale
+     */
+    fft(re, im, inverse) {
+        const n = re.length;
+
+        // Bit-reversal permutation
+        for (let i = 1, j = 0; i < n; i++) {
+            let bit = n >> 1;
+            for (; j & bit; bit >>= 1) j ^= bit;
+            j ^= bit;
+            if (i < j) {
+                [re[i], re[j]] = [re[j], re[i]];
+                [im[i], im[j]] = [im[j], im[i]];
+            }
+        }
+
+        for (let length = 2; length <= n; length <<= 1) {
+            const angle = (inverse ? 2 : -2) * Math.PI / length;
+            const wRe = Math.cos(angle);
+            const wIm = Math.sin(angle);
+
+            for (let start = 0; start < n; start += length) {
+                let curRe = 1;
+                let curIm = 0;
+                for (let k = 0; k < length / 2; k++) {
+                    const a = start + k;
+                    const b = a + length / 2;
+                    const tRe = re[b] * curRe - im[b] * curIm;
+                    const tIm = re[b] * curIm + im[b] * curRe;
+                    re[b] = re[a] - tRe;
+                    im[b] = im[a] - tIm;
+                    re[a] += tRe;
+                    im[a] += tIm;
+
+                    const nextRe = curRe * wRe - curIm * wIm;
+                    curIm = curRe * wIm + curIm * wRe;
+                    curRe = nextRe;
+                }
+            }
+        }
+
+        if (inverse) {
+            for (let i = 0; i < n; i++) {
+                re[i] /= n;
+                im[i] /= n;
+            }
+        }
+    },
+
+    /**
+     * Detect impulsive clicks and interpolate across them
+     * A click is a sample far from the local median; higher strength
+     * lowers the detection threshold.
+     */
+    removeClicks(samples, strength) {
+        const radius = 3;
+        const residual = new Float32Array(samples.length);
+        const neighbours = [];
+
+        for (let i = 0; i < samples.length; i++) {
+            neighbours.length = 0;
+            for (let j = Math.max(0, i - radius); j <= Math.min(samples.length - 1, i + radius); j++) {
+                neighbours.push(samples[j]);
+            }
+            neighbours.sort((a, b) => a - b);
+            residual[i] = samples[i] - neighbours[Math.floor(neighbours.length / 2)];
+        }
+
+        // Robust spread of the residual, so clicks don't inflate their own threshold.
+        // A very clean signal can have a zero median, so fall back to the mean.
+        const magnitudes = Array.from(residual, Math.abs).sort((a, b) => a - b);
+        const meanMagnitude = magnitudes.reduce((sum, value) => sum + value, 0) / magnitudes.length;
+        const spread = Math.max(magnitudes[Math.floor(magnitudes.length / 2)] / 0.6745, meanMagnitude);
+        const threshold = spread * (10 - 7 * strength);
+        if (threshold === 0) return samples;
+
+        // Mark clicks, widened by a couple of samples for their skirts
+        const marked = new Uint8Array(samples.length);
+        for (let i = 0; i < samples.length; i++) {
+            if (Math.abs(residual[i]) > threshold) {
+                marked.fill(1, Math.max(0, i - 2), Math.min(samples.length, i + 3));
+            }
+        }
+
+        const result = Float32Array.from(samples);
+        for (let i = 0; i < samples.length; i++) {
+            if (!marked[i]) continue;
+
+            const start = i;
+            while (i < samples.length && marked[i]) i++;
+            this.interpolateGap(result, start, i);
+        }
+
+        return result;
+    },
+
+    /**
+     * Fill samples [start, end) with a cubic through the good samples either side
+     */
+    interpolateGap(samples, start, end) {
+        const before = start > 0 ? samples[start - 1] : (end < samples.length ? samples[end] : 0);
+        const after = end < samples.length ? samples[end] : before;
+
+        // Match the slopes at each side for a smooth join
+        const slopeBefore = start > 1 ? samples[start - 1] - samples[start - 2] : 0;
+        const slopeAfter = end < samples.length - 1 ? samples[end + 1] - samples[end] : 0;
+        const span = end - start + 1;
+
+        for (let i = start; i < end; i++) {
+            const t = (i - start + 1) / span;
+            const t2 = t * t;
+            const t3 = t2 * t;
+            samples[i] = (2 * t3 - 3 * t2 + 1) * before +
+                (t3 - 2 * t2 + t) * slopeBefore * span +
+                (-2 * t3 + 3 * t2) * after +
+                (t3 - t2) * slopeAfter * span;
+        }
+    }
+};
+
+// Make Restoration available globally
+window.Restoration = Restoration;
@@ -6,12 +6,31 @@ const ROISelector = {
     canvas: null,
     ctx: null,
     imageData: null,
+    previewData: null,
     selectorElement: null,
     containerElement: null,
 
     // ROI bounds (in canvas coordinates)
     roi: { x: 0, y: 0, width: 50, height: 200 },
 
+    // Which way the film runs under the ROI: 'vertical' or 'horizontal',
+    // and 'head-up' or 'tail-up' (a horizontal head-up strip has its head
+    // at the left). The settings may be 'auto' to detect them.
+    orientation: 'vertical',
+    direction: 'head-up',
+    orientationSetting: 'auto',
+    directionSetting: 'auto',
+
+    // Confidence in an automatically found direction, or null if it wasn't
+    directionConfidence: null,
+
+    // Last automatic track detection, and the confidence needed to use it
+    detection: null,
+    minDetectionConfidence: 0.3,
+
+    // Defect outlines drawn over the image, if any
+    defectOverlay: null,
+
     // Drag state
     isDragging: false,
     isResizing: false,
@@ -25,30 +44,136 @@ const ROISelector = {
     initROISelector(canvas, imageData, selectorElement, containerElement) {
         this.canvas = canvas;
         this.ctx = canvas.getContext('2d');
-        this.imageData = Utils.scaleImageIfNeeded(imageData);
         this.selectorElement = selectorElement;
         this.containerElement = containerElement;
 
-        // Set canvas size to match image
+        this.setImage(imageData);
+
+        // Place the ROI over the soundtrack
+        this.detectTrack();
+
+        // Set up event listeners
+        this.setupEventListeners();
+    },
+
+    /**
+     * Scale an image to the size the selector works at
+     * High-bit images are scaled without a canvas, keeping their depth.
+     */
+    fitImage(imageData) {
+        return imageData.maxValue
+            ? ImageDecoder.scaleIfNeeded(imageData)
+            : Utils.scaleImageIfNeeded(imageData);
+    },
+
+    /**
+     * Take a new image, sizing the canvas to it and drawing it
+     * High-bit images are shown from an 8-bit copy.
+     */
+    setImage(imageData) {
+        this.imageData = this.fitImage(imageData);
+        this.previewData = this.imageData.maxValue
+            ? ImageDecoder.toImageData(this.imageData)
+            : this.imageData;
+        this.defectOverlay = null;
+
         this.canvas.width = this.imageData.width;
         this.canvas.height = this.imageData.height;
+        this.ctx.putImageData(this.previewData, 0, 0);
+    },
 
-        // Draw the image
-        this.ctx.putImageData(this.imageData, 0, 0);
+    /**
+     * Show another frame of a sequence with the ROI it is to be read with,
+     * leaving the track where it was rather than detecting it again
+     */
+    loadFrame(imageData, bounds) {
+        this.setImage(imageData);
 
-        // Initialize ROI to left 15% of image
-        this.roi = {
-            x: Math.floor(this.imageData.width * 0.05),
-            y: Math.floor(this.imageData.height * 0.1),
-            width: Math.floor(this.imageData.width * 0.12),
-            height: Math.floor(this.imageData.height * 0.8)
-        };
+        const { x, y, width, height, orientation, direction } = bounds;
+        this.roi = { x, y, width, height };
+        this.orientation = orientation;
+        this.direction = direction;
+
+        // Settings chosen by hand follow the frame's; 'auto' stays as it is
+        if (this.orientationSetting !== 'auto') {
+            this.orientationSetting = orientation;
+        }
+        if (this.directionSetting !== 'auto') {
+            this.directionSetting = direction;
+        }
+        this.updateSelectorPosition();
+    },
+
+    /**
+     * Locate the soundtrack and move the ROI onto it
+     * Falls back to the left 15% of the image (the bottom, for a
+     * horizontal strip) when detection is unsure
+     */
+    detectTrack() {
+        const format = FilmFormats.getFormat();
+        this.orientation = this.orientationSetting === 'auto'
+            ? TrackLocator.detectOrientation(this.imageData).orientation
+            : this.orientationSetting;
+
+        this.detection = TrackLocator.locateTrack(this.imageData, format, this.orientation);
+
+        if (this.detection && this.detection.confidence >= this.minDetectionConfidence) {
+            const { x, y, width, height } = this.detection;
+            this.roi = { x, y, width, height };
+        } else if (this.orientation === 'horizontal') {
+            this.roi = {
+                x: Math.floor(this.imageData.width * 0.1),
+                y: Math.floor(this.imageData.height * 0.83),
+                width: Math.floor(this.imageData.width * 0.8),
+                height: Math.floor(this.imageData.height * 0.12)
+            };
+        } else {
+            this.roi = {
+                x: Math.floor(this.imageData.width * 0.05),
+                y: Math.floor(this.imageData.height * 0.1),
+                width: Math.floor(this.imageData.width * 0.12),
+                height: Math.floor(this.imageData.height * 0.8)
+            };
+        }
+
+        this.resolveDirection();
 
         // Update selector position
+        this.clearDefects();
         this.updateSelectorPosition();
 
-        // Set up event listeners
-        this.setupEventListeners();
+        return this.detection;
+    },
+
+    /**
+     * Choose the orientation and direction settings ('auto' to detect)
+     * Call detectTrack() afterwards to place the ROI for a new orientation.
+     */
+    setOrientation(orientation, direction) {
+        this.orientationSetting = orientation;
+        this.directionSetting = direction;
+        if (orientation !== 'auto') {
+            this.orientation = orientation;
+        }
+        this.resolveDirection();
+    },
+
+    /**
+     * Settle the direction, detecting it from where the ROI sits if asked
+     * Head-up is assumed when the film format can't tell.
+     */
+    resolveDirection() {
+        this.directionConfidence = null;
+
+        if (this.directionSetting !== 'auto') {
+            this.direction = this.directionSetting;
+        } else if (this.imageData) {
+            const detected = TrackLocator.detectDirection(
+                this.roi, this.imageData, this.orientation, FilmFormats.getFormat()
+            );
+            this.direction = detected ? detected.direction : 'head-up';
+            this.directionConfidence = detected ? detected.confidence : null;
+        }
     },
 
     /**
@@ -113,6 +238,7 @@ const ROISelector = {
         e.preventDefault();
         this.isDragging = true;
         this.isResizing = false;
+        this.clearDefects();
 
         const coords = Utils.getEventCoords(e);
         this.dragStart = { x: coords.x, y: coords.y };
@@ -127,6 +253,7 @@ const ROISelector = {
         e.stopPropagation();
         this.isResizing = true;
         this.isDragging = false;
+        this.clearDefects();
         this.activeHandle = e.target.dataset.handle;
 
         const coords = Utils.getEventCoords(e);
@@ -231,11 +358,49 @@ const ROISelector = {
      * End drag or resize interaction
      */
     endInteraction() {
+        // The ROI may have moved to the other side of the picture
+        if (this.isDragging || this.isResizing) {
+            this.resolveDirection();
+        }
+
         this.isDragging = false;
         this.isResizing = false;
         this.activeHandle = null;
     },
 
+    /**
+     * Outline dust (amber) and scratches (red) on the image
+     * Each defect carries its four corners in image coordinates.
+     */
+    drawDefects(defects) {
+        this.ctx.putImageData(this.previewData, 0, 0);
+        this.defectOverlay = defects;
+
+        const lineWidth = Math.max(1, Math.round(this.imageData.width / 400));
+        const pad = lineWidth * 2;
+
+        this.ctx.lineWidth = lineWidth;
+        for (const defect of defects) {
+            const xs = defect.corners.map(point => point.x);
+            const ys = defect.corners.map(point => point.y);
+            const x = Math.min(...xs) - pad;
+            const y = Math.min(...ys) - pad;
+
+            this.ctx.strokeStyle = defect.type === 'scratch' ? '#ff3b30' : '#ffb020';
+            this.ctx.strokeRect(x, y, Math.max(...xs) + pad - x, Math.max(...ys) + pad - y);
+        }
+    },
+
+    /**
+     * Remove any defect outlines
+     */
+    clearDefects() {
+        if (!this.defectOverlay) return;
+
+        this.defectOverlay = null;
+        this.ctx.putImageData(this.previewData, 0, 0);
+    },
+
     /**
      * Get current ROI bounds in image coordinates
      */
@@ -244,7 +409,9 @@ const ROISelector = {
             x: Math.floor(this.roi.x),
             y: Math.floor(this.roi.y),
             width: Math.floor(this.roi.width),
-            height: Math.floor(this.roi.height)
+            height: Math.floor(this.roi.height),
+            orientation: this.orientation,
+            direction: this.direction
         };
     },
 
@@ -263,6 +430,8 @@ const ROISelector = {
         this.isResizing = false;
         this.activeHandle = null;
         this.imageData = null;
+        this.detection = null;
+        this.defectOverlay = null;
     }
 };
 
@@ -0,0 +1,291 @@
+/**
+ * Multi-frame stitching for Optical Soundtrack Reader
+ */
+
+const Stitcher = {
+    // Normalized cross-correlation needed to accept an overlap
+    minCorrelation: 0.6,
+
+    // Overlap search range, as fractions of the shorter frame
+    minOverlapFraction: 0.05,
+    maxOverlapFraction: 0.5,
+
+    // Silence left between frames that don't overlap, in samples (10 ms),
+    // so a missing stretch of film is heard as a break rather than a splice
+    gapLength: 441,
+
+    /**
+     * Join consecutive frame waveforms into one continuous signal
+     * Each frame is an array of channels; frames must share a sample rate
+     * and channel count. Overlaps are found on each frame's track image
+     * profiles (see ImageProcessor.columnProfiles) where given, so grain and
+     * dust line up even through silence, or else on the audio mixed down.
+     * Frames that don't overlap are left a gap apart. Returns the joined
+     * channels and a report for each join: { frame, overlap, gap, correlation, resolved }.
+     */
+    stitch(frames, profiles = null) {
+        if (frames.length === 0) {
+            return { channels: [], joins: [] };
+        }
+
+        let joined = frames[0].map(channel => Float32Array.from(channel));
+        const joins = [];
+
+        for (let i = 1; i < frames.length; i++) {
+            const [previous, next] = this.matchSignals(frames, profiles, i);
+            const match = this.findOverlap(previous, next);
+            const resolved = match.correlation >= this.minCorrelation;
+            const overlap = resolved ? match.overlap : 0;
+            const gap = resolved ? 0 : this.gapLength;
+
+            joins.push({
+                frame: i,
+                overlap,
+                gap,
+                correlation: match.correlation,
+                resolved
+            });
+
+            joined = joined.map((channel, c) => resolved
+                ? this.join(channel, frames[i][c], overlap)
+                : this.leaveGap(channel, frames[i][c], gap));
+        }
+
+        return { channels: joined, joins };
+    },
+
+    /**
+     * The signals to match frame `i` against the frame before on: both
+     * frames' profiles, stretched to their sample counts, or their audio
+     * mixed down when either has none
+     */
+    matchSignals(frames, profiles, i) {
+        const pair = [frames[i - 1], frames[i]];
+        const own = profiles ? [profiles[i - 1], profiles[i]] : [null, null];
+
+        if (own.every(Boolean) && own[0].length === own[1].length) {
+            return own.map((columns, k) => columns.map(column => Utils.resample(column, pair[k][0].length)));
+        }
+        return pair.map(frame => [this.mixDown(frame)]);
+    },
+
+    /**
+     * Join frames end to end, in order, with no overlap search
+     * For frames known to follow on exactly, such as one film frame per
+     * video frame; only the levels either side of each seam are matched.
+     * Returns the same { channels, joins } as stitch().
+     */
+    concatenate(frames) {
+        if (frames.length === 0) {
+            return { channels: [], joins: [] };
+        }
+
+        const length = frames.reduce((sum, frame) => sum + frame[0].length, 0);
+        const channels = frames[0].map(() => new Float32Array(length));
+        const joins = [];
+        let position = 0;
+
+        frames.forEach((frame, i) => {
+            frame.forEach((channel, c) => {
+                const placed = i === 0
+                    ? channel
+                    : this.matchLevels(channels[c].subarray(0, position), channel, 0);
+                channels[c].set(placed, position);
+            });
+
+            if (i > 0) {
+                joins.push({ frame: i, overlap: 0, correlation: null, resolved: true });
+            }
+            position += frame[0].length;
+        });
+
+        return { channels, joins };
+    },
+
+    /**
+     * Join per-frame values that ride along with the audio, such as row
+     * confidence, at the overlaps stitch() found. They are cross-faded
+     * like the audio but never levelled, and gaps are filled with zeros.
+     */
+    stitchAlong(frames, joins) {
+        if (frames.length === 0) return new Float32Array(0);
+
+        let joined = Float32Array.from(frames[0]);
+        joins.forEach(({ frame, overlap, gap = 0 }) => {
+            const next = frames[frame];
+            const result = new Float32Array(joined.length + gap + next.length - overlap);
+            result.set(joined);
+
+            const fadeStart = joined.length - overlap;
+            for (let i = 0; i < overlap; i++) {
+                result[fadeStart + i] = Utils.lerp(joined[fadeStart + i], next[i], (i + 0.5) / overlap);
+            }
+
+            result.set(next.subarray(overlap), joined.length + gap);
+            joined = result;
+        });
+
+        return joined;
+    },
+
+    /**
+     * Average the channels into one
+     */
+    mixDown(channels) {
+        if (channels.length === 1) return channels[0];
+
+        const mixed = new Float32Array(channels[0].length);
+        for (const channel of channels) {
+            for (let i = 0; i < mixed.length; i++) {
+                mixed[i] += channel[i] / channels.length;
+            }
+        }
+        return mixed;
+    },
+
+    /**
+     * Find how many samples at the head of `next` repeat the tail of `previous`
+     * by normalized cross-correlation
+     * Both are arrays of equally many signals, such as profile columns,
+     * correlated together so they must all line up at once.
+     */
+    findOverlap(previous, next) {
+        const shortest = Math.min(previous[0].length, next[0].length);
+        const minOverlap = Math.max(8, Math.floor(shortest * this.minOverlapFraction));
+        const maxOverlap = Math.floor(shortest * this.maxOverlapFraction);
+
+        let best = { overlap: 0, correlation: 0 };
+
+        for (let overlap = minOverlap; overlap <= maxOverlap; overlap++) {
+            let cross = 0;
+            let energyA = 0;
+            let energyB = 0;
+            previous.forEach((signal, k) => {
+                const terms = this.correlationTerms(signal, signal.length - overlap, next[k], 0, overlap);
+                cross += terms.cross;
+                energyA += terms.energyA;
+                energyB += terms.energyB;
+            });
+
+            const denominator = Math.sqrt(energyA * energyB);
+            const correlation = denominator > 0 ? cross / denominator : 0;
+
+            if (correlation > best.correlation) {
+                best = { overlap, correlation };
+            }
+        }
+
+        return best;
+    },
+
+    /**
+     * Sums behind the normalized cross-correlation of two equal-length
+     * slices, each about its own mean: { cross, energyA, energyB }
+     */
+    correlationTerms(a, aStart, b, bStart, length) {
+        let sumA = 0;
+        let sumB = 0;
+        for (let i = 0; i < length; i++) {
+            sumA += a[aStart + i];
+            sumB += b[bStart + i];
+        }
+        const meanA = sumA / length;
+        const meanB = sumB / length;
+
+        let cross = 0;
+        let energyA = 0;
+        let energyB = 0;
+        for (let i = 0; i < length; i++) {
+            const da = a[aStart + i] - meanA;
+            const db = b[bStart + i] - meanB;
+            cross += da * db;
+            energyA += da * da;
+            energyB += db * db;
+        }
+
+        return { cross, energyA, energyB };
+    },
+
+    /**
+     * Append `next` to `previous`, cross-fading over the overlapping samples
+     * Each frame is normalized on its own, so the next frame's gain and
+     * offset are first matched to the previous one.
+     */
+    join(previous, next, overlap) {
+        const levelled = this.matchLevels(previous, next, overlap);
+        const result = new Float32Array(previous.length + next.length - overlap);
+        result.set(previous);
+
+        const fadeStart = previous.length - overlap;
+        for (let i = 0; i < overlap; i++) {
+            const t = (i + 0.5) / overlap;
+            result[fadeStart + i] = Utils.lerp(previous[fadeStart + i], levelled[i], t);
+        }
+
+        result.set(levelled.subarray(overlap), previous.length);
+        return result;
+    },
+
+    /**
+     * Append `next` to `previous` after `gap` samples of silence
+     * With no shared samples the levels can't be matched, and nothing
+     * says the two were ever continuous, so each frame keeps its own.
+     */
+    leaveGap(previous, next, gap) {
+        const result = new Float32Array(previous.length + gap + next.length);
+        result.set(previous);
+        result.set(next, previous.length + gap);
+        return result;
+    },
+
+    /**
+     * Scale and shift `next` so it lines up with `previous`
+     * With a known overlap this is a least-squares fit over the shared
+     * samples; without one, only the levels either side of the seam are matched.
+     */
+    matchLevels(previous, next, overlap) {
+        let gain = 1;
+        let offset;
+
+        if (overlap > 0) {
+            const start = previous.length - overlap;
+            let sumX = 0;
+            let sumY = 0;
+            let sumXX = 0;
+            let sumXY = 0;
+
+            for (let i = 0; i < overlap; i++) {
+                const x = next[i];
+                const y = previous[start + i];
+                sumX += x;
+                sumY += y;
+                sumXX += x * x;
+                sumXY += x * y;
+            }
+
+            const variance = overlap * sumXX - sumX * sumX;
+            if (variance > 0) {
+                gain = Utils.clamp((overlap * sumXY - sumX * sumY) / variance, 0.25, 4);
+            }
+            offset = (sumY - gain * sumX) / overlap;
+        } else {
+            const span = Math.min(32, previous.length, next.length);
+            let tail = 0;
+            let head = 0;
+            for (let i = 0; i < span; i++) {
+                tail += previous[previous.length - span + i];
+                head += next[i];
+            }
+            offset = (tail - head) / span;
+        }
+
+        const levelled = new Float32Array(next.length);
+        for (let i = 0; i < next.length; i++) {
+            levelled[i] = next[i] * gain + offset;
+        }
+        return levelled;
+    }
+};
+
+// Make Stitcher available globally
+window.Stitcher = Stitcher;
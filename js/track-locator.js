@@ -0,0 +1,405 @@
+/**
+ * Automatic soundtrack localisation for Optical Soundtrack Reader
+ */
+
+const TrackLocator = {
+    // Longest side of the downsampled analysis image
+    analysisSize: 400,
+
+    // Allowed track width as a fraction of the image width
+    minBandFraction: 0.015,
+    maxBandFraction: 0.25,
+
+    // How far (as a fraction of the film width) a band may sit from a
+    // film format's track position and still count as in place
+    positionTolerance: 0.08,
+
+    // How far in from each side of the image the film's edge is looked for
+    maxSurroundFraction: 0.4,
+
+    // Most confidence a direction found from the track's side can have,
+    // since a base-side scan puts the track on the same side as tail-up
+    maxDirectionConfidence: 0.5,
+
+    /**
+     * Find the soundtrack strip in an image
+     * Returns ROI bounds in image coordinates plus a 0-1 confidence. With a
+     * film format (see FilmFormats), bands where that gauge puts its track,
+     * measured across the film found in the image, are preferred. A
+     * horizontal strip is searched for along the rows.
+     */
+    locateTrack(imageData, format = null, orientation = 'vertical') {
+        const horizontal = orientation === 'horizontal';
+        let { gray, width, height, step } = this.downsample(imageData);
+        if (horizontal) {
+            gray = this.transposeGray(gray, width, height);
+            [width, height] = [height, width];
+        }
+
+        const variation = this.columnVariation(gray, width, height);
+        const profile = this.smoothProfile(variation, 2);
+        const film = this.measureFilm(gray, width, height, variation);
+        const band = this.findBestBand(profile, width, format, film);
+
+        if (!band) {
+            return null;
+        }
+
+        // Keep a small margin along the track so the handles stay on screen
+        const across = horizontal ? imageData.height : imageData.width;
+        const along = horizontal ? imageData.width : imageData.height;
+        const margin = Math.floor(along * 0.05);
+        // Widen narrow bands to the 20px minimum, then pull the start back
+        // so the widened ROI still ends inside the image
+        const size = Math.min(across, Math.max(20, (band.end - band.start) * step));
+        const start = Utils.clamp(band.start * step, 0, across - size);
+
+        return horizontal
+            ? { x: margin, y: start, width: along - margin * 2, height: size, confidence: band.confidence }
+            : { x: start, y: margin, width: size, height: along - margin * 2, confidence: band.confidence };
+    },
+
+    /**
+     * Work out whether the film runs down or across an image
+     * Perforations repeat along the film, so whichever axis shows them is
+     * taken. Failing that, the track and film edges run along the film, so
+     * the image changes least in that direction.
+     * Returns { orientation, confidence }.
+     */
+    detectOrientation(imageData) {
+        const { gray, width, height } = this.downsample(imageData);
+
+        // Find the perforations both ways on the small copy
+        const small = this.grayToImageData(gray, width, height);
+        const strength = (orientation) => {
+            const perforations = PerforationDetector.detect(small, null, 1, orientation);
+            return perforations ? perforations.strength : 0;
+        };
+        const vertical = strength('vertical');
+        const horizontal = strength('horizontal');
+
+        if (Math.abs(vertical - horizontal) > 0.1) {
+            return {
+                orientation: vertical > horizontal ? 'vertical' : 'horizontal',
+                confidence: Math.max(vertical, horizontal)
+            };
+        }
+
+        // Edges along the film make changes across it: mostly in x for vertical film
+        let acrossX = 0;
+        let acrossY = 0;
+        for (let y = 1; y < height; y++) {
+            for (let x = 1; x < width; x++) {
+                const value = gray[y * width + x];
+                acrossX += Math.abs(value - gray[y * width + x - 1]);
+                acrossY += Math.abs(value - gray[(y - 1) * width + x]);
+            }
+        }
+
+        const share = acrossX + acrossY > 0 ? acrossX / (acrossX + acrossY) : 0.5;
+        return {
+            orientation: share >= 0.5 ? 'vertical' : 'horizontal',
+            confidence: Math.abs(share - 0.5) * 2
+        };
+    },
+
+    /**
+     * Work out which end of the film is up from where its track was found
+     * Read head-up, a gauge puts its track on format.trackSide of the
+     * picture; found on the other side of the film (see measureFilm), it
+     * is tail-up. A scan from the base side mirrors the film, which moves
+     * the track across just as turning it does, and nothing in the image
+     * tells the two apart, so the confidence is capped for callers to ask
+     * for a check. Returns { direction, confidence }, or null when the
+     * format doesn't say.
+     */
+    detectDirection(track, imageData, orientation, format) {
+        if (!format || !format.trackSide) return null;
+
+        const horizontal = orientation === 'horizontal';
+        let { gray, width, height, step } = this.downsample(imageData);
+        if (horizontal) {
+            gray = this.transposeGray(gray, width, height);
+            [width, height] = [height, width];
+        }
+        const film = this.measureFilm(gray, width, height, this.columnVariation(gray, width, height));
+
+        // Position across the film, 0 at the left of a head-up strip; a
+        // horizontal head-up strip has its left side at the bottom
+        const centre = (horizontal ? track.y + track.height / 2 : track.x + track.width / 2) / step;
+        const across = Utils.clamp((centre - film.left) / (film.right - film.left), 0, 1);
+        const position = horizontal ? 1 - across : across;
+
+        const onLeft = position < 0.5;
+        return {
+            direction: onLeft === (format.trackSide === 'left') ? 'head-up' : 'tail-up',
+            confidence: Math.abs(position - 0.5) * 2 * this.maxDirectionConfidence
+        };
+    },
+
+    /**
+     * Reduce the image to a small grayscale array for analysis
+     */
+    downsample(imageData) {
+        const step = Math.max(1, Math.floor(Math.max(imageData.width, imageData.height) / this.analysisSize));
+        const width = Math.floor(imageData.width / step);
+        const height = Math.floor(imageData.height / step);
+        const gray = new Float32Array(width * height);
+        const src = imageData.data;
+        const scale = ImageProcessor.pixelScale(imageData);
+
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                const idx = ((y * step) * imageData.width + x * step) * 4;
+                gray[y * width + x] = (0.299 * src[idx] + 0.587 * src[idx + 1] + 0.114 * src[idx + 2]) * scale;
+            }
+        }
+
+        return { gray, width, height, step };
+    },
+
+    /**
+     * Swap the rows and columns of a downsampled image
+     */
+    transposeGray(gray, width, height) {
+        const transposed = new Float32Array(gray.length);
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                transposed[x * height + y] = gray[y * width + x];
+            }
+        }
+        return transposed;
+    },
+
+    /**
+     * Wrap a downsampled image as RGBA image data
+     */
+    grayToImageData(gray, width, height) {
+        const data = new Uint8ClampedArray(width * height * 4);
+        for (let i = 0; i < gray.length; i++) {
+            data[i * 4] = data[i * 4 + 1] = data[i * 4 + 2] = gray[i];
+            data[i * 4 + 3] = 255;
+        }
+        return { width, height, data };
+    },
+
+    /**
+     * Find the film in a downsampled image: its edges across the image and
+     * the column of its perforations
+     * Scanning in from each side, the surround is even and still; the film
+     * starts at the first column that changes along its length (holes,
+     * track or picture) or steps away from the surround's brightness. Where
+     * the film fills the image its edges are the image's.
+     * Returns { left, right, perforations } in columns, perforations null
+     * when no holes were found.
+     */
+    measureFilm(gray, width, height, variation) {
+        const means = new Float32Array(width);
+        for (let x = 0; x < width; x++) {
+            let sum = 0;
+            for (let y = 0; y < height; y++) sum += gray[y * width + x];
+            means[x] = sum / height;
+        }
+
+        // Grain and sensor noise move every column a little; the film's
+        // features move it far more
+        const lowest = Math.min(...variation);
+        const still = lowest + 0.2 * (Math.max(...variation) - lowest);
+        const step = 0.15 * (Math.max(...means) - Math.min(...means));
+        const limit = Math.floor(width * this.maxSurroundFraction);
+
+        // Columns of surround before the film, counted in from one side
+        const surround = (from, direction) => {
+            for (let i = 0; i < limit; i++) {
+                const x = from + i * direction;
+                if (variation[x] > still || Math.abs(means[x] - means[from]) > step) return i;
+            }
+            return 0;
+        };
+
+        const perforations = PerforationDetector.detect(this.grayToImageData(gray, width, height), null, 1, 'vertical');
+
+        return {
+            left: surround(0, 1),
+            right: width - surround(width - 1, -1),
+            perforations: perforations ? perforations.x : null
+        };
+    },
+
+    /**
+     * Mean absolute row-to-row change for each column
+     */
+    columnVariation(gray, width, height) {
+        const variation = new Float32Array(width);
+
+        for (let x = 0; x < width; x++) {
+            let sum = 0;
+            for (let y = 1; y < height; y++) {
+                sum += Math.abs(gray[y * width + x] - gray[(y - 1) * width + x]);
+            }
+            variation[x] = sum / (height - 1);
+        }
+
+        return variation;
+    },
+
+    /**
+     * Smooth a 1-D profile with a small moving average
+     */
+    smoothProfile(profile, radius) {
+        const result = new Float32Array(profile.length);
+
+        for (let i = 0; i < profile.length; i++) {
+            let sum = 0;
+            let count = 0;
+            for (let j = Math.max(0, i - radius); j <= Math.min(profile.length - 1, i + radius); j++) {
+                sum += profile[j];
+                count++;
+            }
+            result[i] = sum / count;
+        }
+
+        return result;
+    },
+
+    /**
+     * Mark columns above the threshold, joining runs split by short gaps
+     * (the always-clear centre of a bilateral track barely varies)
+     */
+    bridgeGaps(profile, threshold, maxGap) {
+        const active = new Uint8Array(profile.length);
+        let lastActive = -1;
+
+        for (let x = 0; x < profile.length; x++) {
+            if (profile[x] <= threshold) continue;
+
+            active[x] = 1;
+            if (lastActive !== -1 && x - lastActive - 1 <= maxGap) {
+                active.fill(1, lastActive + 1, x);
+            }
+            lastActive = x;
+        }
+
+        return active;
+    },
+
+    /**
+     * Mean profile level just outside a band, on the quieter side
+     */
+    flankLevel(profile, start, end) {
+        const span = end - start;
+        const side = (from, to) => {
+            let sum = 0;
+            let count = 0;
+            for (let i = Math.max(0, from); i < Math.min(profile.length, to); i++) {
+                sum += profile[i];
+                count++;
+            }
+            return count > 0 ? sum / count : Infinity;
+        };
+
+        const level = Math.min(side(start - span, start), side(end, end + span));
+        return Number.isFinite(level) ? level : 0;
+    },
+
+    /**
+     * Weight a band by where its centre (0-1 across the film) sits
+     * perforations is the holes' position across the film too, or null.
+     */
+    positionWeight(centre, format, perforations = null) {
+        // The track sits beside the picture, not in the middle of it
+        if (centre > 0.3 && centre < 0.7) return 0.5;
+        if (!format) return 1;
+
+        // A track along the plain edge is on the side away from the holes
+        if (format.trackEdge === 'plain' && perforations !== null && (centre < 0.5) === (perforations < 0.5)) {
+            return 0.75;
+        }
+
+        // Either edge, since the film may have been captured either way round
+        const offset = Math.min(
+            Math.abs(centre - format.trackCentre),
+            Math.abs(centre - (1 - format.trackCentre))
+        );
+        return offset <= this.positionTolerance ? 1 : 0.75;
+    },
+
+    /**
+     * Pick the narrow run of columns with the strongest row-to-row variation
+     * Positions are weighed across the film (see measureFilm) when given,
+     * or else across the whole width.
+     */
+    findBestBand(profile, width, format = null, film = null) {
+        const { left, right, perforations } = film || { left: 0, right: width, perforations: null };
+        const acrossFilm = (x) => (x - left) / (right - left);
+
+        const sorted = Array.from(profile).sort((a, b) => a - b);
+        const median = sorted[Math.floor(sorted.length / 2)];
+        const peak = sorted[sorted.length - 1];
+
+        if (peak <= 0 || peak - median < 1) {
+            return null;
+        }
+
+        // Columns count as active when well above the typical column
+        const threshold = median + (peak - median) * 0.4;
+        const minWidth = Math.max(2, Math.round(width * this.minBandFraction));
+        const maxWidth = Math.round(width * this.maxBandFraction);
+
+        const active = this.bridgeGaps(profile, threshold, Math.round(width * 0.03));
+
+        let best = null;
+        let start = -1;
+
+        for (let x = 0; x <= width; x++) {
+            const isActive = x < width && active[x];
+
+            if (isActive && start === -1) {
+                start = x;
+            } else if (!isActive && start !== -1) {
+                const bandWidth = x - start;
+
+                if (bandWidth >= minWidth && bandWidth <= maxWidth) {
+                    let sum = 0;
+                    for (let i = start; i < x; i++) sum += profile[i];
+                    const mean = sum / bandWidth;
+
+                    const positionWeight = this.positionWeight(
+                        acrossFilm((start + x) / 2),
+                        format,
+                        perforations === null ? null : acrossFilm(perforations)
+                    );
+                    const score = mean * positionWeight;
+
+                    if (!best || score > best.score) {
+                        best = { start, end: x, mean, score, positionWeight };
+                    }
+                }
+
+                start = -1;
+            }
+        }
+
+        if (!best) {
+            return null;
+        }
+
+        // Pad the band so the ROI takes in the steady edges and surround
+        const padding = Math.max(1, Math.round((best.end - best.start) * 0.2));
+        best.start = Math.max(0, best.start - padding);
+        best.end = Math.min(width, best.end + padding);
+
+        // Confidence: how far the band stands out from the film either side of it
+        const flank = this.flankLevel(profile, best.start, best.end);
+        best.confidence = Utils.clamp(
+            ((best.mean - flank) / best.mean) * best.positionWeight,
+            0,
+            1
+        );
+
+        return best;
+    }
+};
+
+// Make TrackLocator available globally
+window.TrackLocator = TrackLocator;
@@ -17,6 +17,45 @@ const Utils = {
         return a + (b - a) * t;
     },
 
+    /**
+     * Resample an array to a new length using linear interpolation
+     */
+    resample(data, targetLength) {
+        const result = new Float32Array(targetLength);
+        const sourceLength = data.length;
+
+        for (let i = 0; i < targetLength; i++) {
+            // Map target index to source index
+            const sourceIndex = (i / targetLength) * sourceLength;
+            const index0 = Math.floor(sourceIndex);
+            const index1 = Math.min(index0 + 1, sourceLength - 1);
+            const t = sourceIndex - index0;
+
+            result[i] = this.lerp(data[index0], data[index1], t);
+        }
+
+        return result;
+    },
+
+    /**
+     * Sample an array at fractional indices using linear interpolation
+     * Positions outside the array take its end values.
+     */
+    resampleAt(data, positions) {
+        const result = new Float32Array(positions.length);
+        const last = data.length - 1;
+
+        for (let i = 0; i < positions.length; i++) {
+            const position = this.clamp(positions[i], 0, last);
+            const index0 = Math.floor(position);
+            const index1 = Math.min(index0 + 1, last);
+
+            result[i] = this.lerp(data[index0], data[index1], position - index0);
+        }
+
+        return result;
+    },
+
     /**
      * Debounce a function
      */
@@ -113,5 +152,5 @@ const Utils = {
     }
 };
 
-// Make Utils available globally
-window.Utils = Utils;
+// Make Utils available globally, on the page and in the extraction worker
+self.Utils = Utils;
@@ -0,0 +1,254 @@
+/**
+ * Telecine and scan video import for Optical Soundtrack Reader
+ * Steps an offscreen <video> through a clip one frame at a time and hands
+ * each frame back as ImageData, for the same ROI to be read on all. Each
+ * video frame is taken to hold one film frame.
+ */
+
+const VideoImporter = {
+    // Frames are drawn no larger than this, matching Utils.scaleImageIfNeeded,
+    // so an ROI drawn on the first frame fits every frame
+    maxDimension: 2000,
+
+    video: null,
+    url: null,
+    canvas: null,
+    ctx: null,
+
+    // Film format's frame rate, which the clip is stepped at when the
+    // browser can't show when its own frames fall
+    fps: 24,
+
+    // Media time of the clip's first frame and the spacing of its frames,
+    // in seconds, and whether they were measured from the clip itself
+    firstFrameTime: 0,
+    frameDuration: 1 / 24,
+    measured: false,
+
+    // Media time of the frame last shown after a seek
+    shownTime: 0,
+
+    // Longest wait for the video to load or seek, and for a frame to be
+    // shown after a seek, in milliseconds
+    timeout: 10000,
+    presentWait: 500,
+
+    // Ends the wait in progress with CANCELLED, while there is one
+    abortWait: null,
+
+    /**
+     * Set the film frame rate, used to step the clip when its own frame
+     * times can't be measured
+     */
+    setFrameRate(fps) {
+        this.fps = fps;
+        if (!this.measured) {
+            this.frameDuration = 1 / fps;
+        }
+    },
+
+    /**
+     * Check whether a file looks like a video the browser may play
+     */
+    isVideo(file) {
+        return Boolean(file) && (file.type.startsWith('video/') || /\.(mp4|m4v|mov|webm)$/i.test(file.name));
+    },
+
+    /**
+     * Load a video file, ready for frames to be read
+     * Returns { frameCount, frameRate, measured, width, height }; throws
+     * VIDEO_UNSUPPORTED when the browser can't decode it, VIDEO_NO_DURATION
+     * when its length can't be found, or VIDEO_TIMEOUT.
+     */
+    async open(file) {
+        this.close();
+
+        const video = document.createElement('video');
+        video.muted = true;
+        video.playsInline = true;
+        video.preload = 'auto';
+
+        this.url = URL.createObjectURL(file);
+        this.video = video;
+
+        try {
+            await this.waitFor(video, 'loadeddata', () => { video.src = this.url; });
+            await this.resolveDuration();
+            await this.measureFrameTiming();
+        } catch (error) {
+            this.close();
+            throw error;
+        }
+
+        const scale = Math.min(1, this.maxDimension / Math.max(video.videoWidth, video.videoHeight));
+        this.canvas = document.createElement('canvas');
+        this.canvas.width = scale < 1 ? Math.floor(video.videoWidth * scale) : video.videoWidth;
+        this.canvas.height = scale < 1 ? Math.floor(video.videoHeight * scale) : video.videoHeight;
+        this.ctx = this.canvas.getContext('2d', { willReadFrequently: true });
+
+        return {
+            frameCount: this.getFrameCount(),
+            frameRate: 1 / this.frameDuration,
+            measured: this.measured,
+            width: this.canvas.width,
+            height: this.canvas.height
+        };
+    },
+
+    /**
+     * Make sure the clip's length is known
+     * WebM recorded straight from a browser (MediaRecorder) has no length
+     * in its header, so the video reports an infinite duration until it
+     * has been seeked to the end. Throws VIDEO_NO_DURATION if even that
+     * doesn't give one.
+     */
+    async resolveDuration() {
+        const video = this.video;
+        if (Number.isFinite(video.duration)) return;
+
+        await this.waitFor(video, 'seeked', () => { video.currentTime = Number.MAX_SAFE_INTEGER; });
+        if (!Number.isFinite(video.duration)) {
+            throw new Error('VIDEO_NO_DURATION');
+        }
+    },
+
+    /**
+     * Find when the clip's first frame falls and how far apart its frames
+     * are, from the media times of the frames shown after each seek
+     * Each probe looks twice as far past the first frame as the last, from
+     * 1 ms, so the first to reach a new frame lands before the one after
+     * it. Without requestVideoFrameCallback, frames are taken to come at
+     * the film format's rate.
+     */
+    async measureFrameTiming() {
+        this.firstFrameTime = 0;
+        this.frameDuration = 1 / this.fps;
+        this.measured = false;
+        this.shownTime = 0;
+        if (!('requestVideoFrameCallback' in this.video)) return;
+
+        const first = await this.seekFrame(0);
+        for (let step = 0.001; step < 1; step *= 2) {
+            const next = await this.seekFrame(first + step);
+            if (next > first + 1e-6) {
+                this.firstFrameTime = first;
+                this.frameDuration = next - first;
+                this.measured = true;
+                return;
+            }
+        }
+    },
+
+    /**
+     * Seek, and resolve to the media time of the frame shown there
+     * A seek within the frame already shown may show nothing new, so that
+     * frame's time stands if no frame arrives soon after the seek.
+     */
+    async seekFrame(time) {
+        const video = this.video;
+        let handle;
+        const shown = new Promise(resolve => {
+            handle = video.requestVideoFrameCallback((now, metadata) => resolve(metadata.mediaTime));
+        });
+
+        await this.waitFor(video, 'seeked', () => { video.currentTime = time; });
+        const mediaTime = await Promise.race([
+            shown,
+            new Promise(resolve => setTimeout(() => resolve(null), this.presentWait))
+        ]);
+        video.cancelVideoFrameCallback(handle);
+
+        if (mediaTime !== null) {
+            this.shownTime = mediaTime;
+        }
+        return this.shownTime;
+    },
+
+    /**
+     * Check whether a clip is loaded
+     */
+    isOpen() {
+        return this.video !== null;
+    },
+
+    /**
+     * Number of whole frames in the clip
+     */
+    getFrameCount() {
+        if (!this.video || !Number.isFinite(this.video.duration)) return 0;
+        return Math.max(1, Math.floor((this.video.duration - this.firstFrameTime) / this.frameDuration + 1e-6));
+    },
+
+    /**
+     * Seek to a frame and return it as ImageData
+     * Seeks to the middle of the frame's time, clear of either neighbour.
+     */
+    async readFrame(index) {
+        const time = this.firstFrameTime + (index + 0.5) * this.frameDuration;
+        await this.waitFor(this.video, 'seeked', () => { this.video.currentTime = time; });
+
+        this.ctx.drawImage(this.video, 0, 0, this.canvas.width, this.canvas.height);
+        return this.ctx.getImageData(0, 0, this.canvas.width, this.canvas.height);
+    },
+
+    /**
+     * Start something on a media element and resolve once it fires `event`
+     * Rejects with VIDEO_UNSUPPORTED if the element reports an error first,
+     * VIDEO_TIMEOUT if nothing happens within `timeout`, or CANCELLED if
+     * cancel() is called meanwhile.
+     */
+    waitFor(element, event, start) {
+        return new Promise((resolve, reject) => {
+            let timer;
+            const done = (handler) => () => {
+                clearTimeout(timer);
+                this.abortWait = null;
+                element.removeEventListener(event, onEvent);
+                element.removeEventListener('error', onError);
+                handler();
+            };
+            const onEvent = done(resolve);
+            const onError = done(() => reject(new Error('VIDEO_UNSUPPORTED')));
+            this.abortWait = done(() => reject(new Error('CANCELLED')));
+
+            timer = setTimeout(done(() => reject(new Error('VIDEO_TIMEOUT'))), this.timeout);
+            element.addEventListener(event, onEvent);
+            element.addEventListener('error', onError);
+            start();
+        });
+    },
+
+    /**
+     * Give up on the load or seek in progress, which rejects with CANCELLED
+     */
+    cancel() {
+        if (this.abortWait) {
+            this.abortWait();
+        }
+    },
+
+    /**
+     * Let go of the clip and its object URL
+     */
+    close() {
+        this.cancel();
+        if (this.video) {
+            this.video.removeAttribute('src');
+            this.video.load();
+        }
+        if (this.url) {
+            URL.revokeObjectURL(this.url);
+        }
+
+        this.video = null;
+        this.url = null;
+        this.canvas = null;
+        this.ctx = null;
+        this.measured = false;
+        this.firstFrameTime = 0;
+        this.frameDuration = 1 / this.fps;
+    }
+};
+
+// Make VideoImporter available globally
+window.VideoImporter = VideoImporter;
@@ -6,20 +6,32 @@ const WaveformRenderer = {
     canvas: null,
     ctx: null,
     waveformData: null,
+    channelLabels: null,
+    confidence: null,
     animationId: null,
     playheadPosition: 0,
     isAnimating: false,
     gradientMode: false,
 
+    // Offscreen copy of the waveform as last drawn, so the playhead can
+    // move over it without the samples being drawn again
+    cache: null,
+
     // Colors (matching CSS variables)
     colors: {
         background: '#1a1a1a',
         waveform: '#4a9eff',
         waveformGradient: '#ffffff',
         playhead: '#4a9eff',
-        centerLine: '#333'
+        centerLine: '#333',
+        label: '#888',
+        confidenceLow: [255, 92, 92],
+        confidenceHigh: [76, 175, 80]
     },
 
+    // Height of the confidence strip along the bottom, in CSS pixels
+    confidenceStripHeight: 6,
+
     /**
      * Initialize the waveform canvas
      */
@@ -56,54 +68,133 @@ const WaveformRenderer = {
         this.displayHeight = rect.height;
     },
 
+    /**
+     * Set the per-sample extraction confidence (0-1) to show under the
+     * waveform, or null to hide the strip
+     */
+    setConfidence(confidence) {
+        this.confidence = confidence;
+    },
+
     /**
      * Draw the waveform
+     * Several channels are drawn as stacked lanes, labelled when labels are given.
      */
-    drawWaveform(waveformData) {
+    drawWaveform(waveformData, labels = this.channelLabels) {
         this.waveformData = waveformData;
+        this.channelLabels = labels;
 
-        const ctx = this.ctx;
-        const width = this.displayWidth;
-        const height = this.displayHeight;
-        const centerY = height / 2;
-
-        // Clear canvas
-        ctx.fillStyle = this.gradientMode ? 'transparent' : this.colors.background;
-        ctx.fillRect(0, 0, width, height);
+        this.renderCache();
+        this.present();
+    },
 
-        // Draw center line
-        ctx.strokeStyle = this.colors.centerLine;
-        ctx.lineWidth = 1;
-        ctx.beginPath();
-        ctx.moveTo(0, centerY);
-        ctx.lineTo(width, centerY);
-        ctx.stroke();
+    /**
+     * Draw the waveform, labels and confidence strip to the offscreen canvas
+     * A clip can run to hundreds of thousands of samples, so each pixel
+     * column is drawn once, as tall as the loudest of its samples.
+     */
+    renderCache() {
+        if (!this.cache) {
+            this.cache = document.createElement('canvas');
+        }
+        this.cache.width = this.canvas.width;
+        this.cache.height = this.canvas.height;
 
-        // Draw waveform
-        const waveformColor = this.gradientMode ? this.colors.waveformGradient : this.colors.waveform;
-        ctx.strokeStyle = waveformColor;
-        ctx.lineWidth = 1;
+        const ctx = this.cache.getContext('2d');
+        ctx.scale(this.canvas.width / this.displayWidth, this.canvas.height / this.displayHeight);
 
-        const dataLength = waveformData.length;
-        const step = width / dataLength;
+        const width = this.displayWidth;
+        const columns = Math.ceil(width);
+        const channels = Array.isArray(this.waveformData) ? this.waveformData : [this.waveformData];
+        const labels = this.channelLabels;
+        const stripHeight = this.confidence ? this.confidenceStripHeight : 0;
+        const laneHeight = (this.displayHeight - stripHeight) / channels.length;
+
+        if (!this.gradientMode) {
+            ctx.fillStyle = this.colors.background;
+            ctx.fillRect(0, 0, width, this.displayHeight);
+        }
 
-        for (let i = 0; i < dataLength; i++) {
-            const x = i * step;
-            const amplitude = waveformData[i];
-            const lineHeight = amplitude * (height / 2) * 0.9; // 90% of half-height max
+        channels.forEach((channel, lane) => {
+            const centerY = laneHeight * (lane + 0.5);
 
+            // Draw center line
+            ctx.strokeStyle = this.colors.centerLine;
+            ctx.lineWidth = 1;
             ctx.beginPath();
-            ctx.moveTo(x, centerY - lineHeight);
-            ctx.lineTo(x, centerY + lineHeight);
+            ctx.moveTo(0, centerY);
+            ctx.lineTo(width, centerY);
             ctx.stroke();
+
+            // Draw waveform
+            ctx.fillStyle = this.gradientMode ? this.colors.waveformGradient : this.colors.waveform;
+
+            const dataLength = channel.length;
+            const scale = (laneHeight / 2) * 0.9; // 90% of half-height max
+
+            for (let x = 0; x < columns; x++) {
+                const start = Math.floor(x / columns * dataLength);
+                const end = Math.max(start + 1, Math.floor((x + 1) / columns * dataLength));
+
+                let peak = 0;
+                for (let i = start; i < end && i < dataLength; i++) {
+                    peak = Math.max(peak, Math.abs(channel[i]));
+                }
+
+                const lineHeight = peak * scale;
+                ctx.fillRect(x, centerY - lineHeight, 1, 2 * lineHeight);
+            }
+
+            if (labels && labels[lane]) {
+                ctx.fillStyle = this.colors.label;
+                ctx.font = '11px sans-serif';
+                ctx.fillText(labels[lane], 4, laneHeight * lane + 12);
+            }
+        });
+
+        if (this.confidence) {
+            this.drawConfidence(ctx, this.displayHeight - stripHeight, stripHeight);
         }
+    },
+
+    /**
+     * Show the drawn waveform, with the playhead over it while animating
+     */
+    present() {
+        const ctx = this.ctx;
+        ctx.clearRect(0, 0, this.displayWidth, this.displayHeight);
+        ctx.drawImage(this.cache, 0, 0, this.displayWidth, this.displayHeight);
 
-        // Draw playhead if animating
         if (this.isAnimating) {
             this.drawPlayhead();
         }
     },
 
+    /**
+     * Draw the confidence strip, red where rows were doubtful and green
+     * where they read cleanly; each pixel shows its least confident sample
+     */
+    drawConfidence(ctx, top, height) {
+        const width = Math.ceil(this.displayWidth);
+        const data = this.confidence;
+        const low = this.colors.confidenceLow;
+        const high = this.colors.confidenceHigh;
+
+        for (let x = 0; x < width; x++) {
+            const start = Math.floor(x / width * data.length);
+            const end = Math.max(start + 1, Math.floor((x + 1) / width * data.length));
+
+            let value = 1;
+            for (let i = start; i < end && i < data.length; i++) {
+                value = Math.min(value, data[i]);
+            }
+
+            const rgb = low.map((channel, c) => Math.round(Utils.lerp(channel, high[c], value)));
+            ctx.fillStyle = `rgb(${rgb.join(', ')})`;
+            ctx.fillRect(x, top, 1, height);
+        }
+    },
+
     /**
      * Draw the playhead indicator
      */
@@ -141,9 +232,9 @@ const WaveformRenderer = {
             // Get progress from audio engine
             this.playheadPosition = AudioEngine.getProgress();
 
-            // Redraw waveform with playhead
-            if (this.waveformData) {
-                this.drawWaveform(this.waveformData);
+            // Put the playhead over the drawn waveform
+            if (this.cache) {
+                this.present();
             }
 
             this.animationId = requestAnimationFrame(animate);
@@ -165,8 +256,8 @@ const WaveformRenderer = {
         }
 
         // Redraw without playhead
-        if (this.waveformData) {
-            this.drawWaveform(this.waveformData);
+        if (this.cache) {
+            this.present();
         }
     },
 
@@ -187,6 +278,9 @@ const WaveformRenderer = {
     reset() {
         this.stopPlayheadAnimation();
         this.waveformData = null;
+        this.channelLabels = null;
+        this.confidence = null;
+        this.cache = null;
         this.gradientMode = false;
 
         if (this.ctx && this.displayWidth && this.displayHeight) {
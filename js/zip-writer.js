@@ -0,0 +1,107 @@
+/**
+ * Minimal ZIP archive writer for Optical Soundtrack Reader
+ * Files are stored uncompressed; WAV audio barely deflates anyway.
+ */
+
+const ZipWriter = {
+    // CRC-32 lookup table, built on first use
+    crcTable: null,
+
+    /**
+     * Pack files into a ZIP
+     * Each entry is { name, data } with data as a Uint8Array. Returns a Blob.
+     */
+    create(entries) {
+        const encoder = new TextEncoder();
+        const { time, date } = this.dosDateTime(new Date());
+        const parts = [];
+        const directory = [];
+        let offset = 0;
+
+        for (const entry of entries) {
+            const name = encoder.encode(entry.name);
+            const crc = this.crc32(entry.data);
+            const size = entry.data.length;
+
+            // Local file header
+            const local = new DataView(new ArrayBuffer(30));
+            local.setUint32(0, 0x04034b50, true);
+            local.setUint16(4, 20, true);       // version needed
+            local.setUint16(6, 0x0800, true);   // names are UTF-8
+            local.setUint16(8, 0, true);        // stored
+            local.setUint16(10, time, true);
+            local.setUint16(12, date, true);
+            local.setUint32(14, crc, true);
+            local.setUint32(18, size, true);
+            local.setUint32(22, size, true);
+            local.setUint16(26, name.length, true);
+            local.setUint16(28, 0, true);
+            parts.push(local, name, entry.data);
+
+            // Matching central directory record
+            const central = new DataView(new ArrayBuffer(46));
+            central.setUint32(0, 0x02014b50, true);
+            central.setUint16(4, 20, true);     // version made by
+            central.setUint16(6, 20, true);     // version needed
+            central.setUint16(8, 0x0800, true);
+            central.setUint16(10, 0, true);
+            central.setUint16(12, time, true);
+            central.setUint16(14, date, true);
+            central.setUint32(16, crc, true);
+            central.setUint32(20, size, true);
+            central.setUint32(24, size, true);
+            central.setUint16(28, name.length, true);
+            central.setUint32(42, offset, true);
+            directory.push(central, name);
+
+            offset += 30 + name.length + size;
+        }
+
+        const directorySize = directory.reduce((sum, part) => sum + part.byteLength, 0);
+
+        // End of central directory record
+        const end = new DataView(new ArrayBuffer(22));
+        end.setUint32(0, 0x06054b50, true);
+        end.setUint16(8, entries.length, true);
+        end.setUint16(10, entries.length, true);
+        end.setUint32(12, directorySize, true);
+        end.setUint32(16, offset, true);
+
+        return new Blob([...parts, ...directory, end], { type: 'application/zip' });
+    },
+
+    /**
+     * CRC-32 (the ZIP and PNG polynomial) of a byte array
+     */
+    crc32(bytes) {
+        if (!this.crcTable) {
+            this.crcTable = new Uint32Array(256);
+            for (let n = 0; n < 256; n++) {
+                let c = n;
+                for (let k = 0; k < 8; k++) {
+                    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+                }
+                this.crcTable[n] = c >>> 0;
+            }
+        }
+
+        let crc = 0xffffffff;
+        for (let i = 0; i < bytes.length; i++) {
+            crc = this.crcTable[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+        }
+        return (crc ^ 0xffffffff) >>> 0;
+    },
+
+    /**
+     * Pack a date into the MS-DOS time and date fields ZIP uses
+     */
+    dosDateTime(when) {
+        return {
+            time: (when.getHours() << 11) | (when.getMinutes() << 5) | (when.getSeconds() >> 1),
+            date: ((Math.max(1980, when.getFullYear()) - 1980) << 9) | ((when.getMonth() + 1) << 5) | when.getDate()
+        };
+    }
+};
+
+// Make ZipWriter available globally
+window.ZipWriter = ZipWriter;
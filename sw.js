@@ -1,14 +1,27 @@
 // Service Worker for Optical Soundtrack Reader
-const CACHE_NAME = 'optical-reader-v1';
+const CACHE_NAME = 'optical-reader-v14';
 const ASSETS_TO_CACHE = [
     './',
     './index.html',
     './manifest.json',
     './css/styles.css',
     './js/utils.js',
+    './js/image-decoder.js',
     './js/camera.js',
+    './js/video-importer.js',
+    './js/image-sequence.js',
+    './js/film-formats.js',
+    './js/track-locator.js',
     './js/roi-selector.js',
     './js/image-processor.js',
+    './js/defect-repair.js',
+    './js/flat-field.js',
+    './js/perforation-detector.js',
+    './js/extraction-runner.js',
+    './js/extraction-worker.js',
+    './js/stitcher.js',
+    './js/zip-writer.js',
+    './js/restoration.js',
     './js/audio-engine.js',
     './js/waveform-renderer.js',
     './js/easter-eggs.js',